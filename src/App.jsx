@@ -2,24 +2,42 @@ import { BrowserRouter, Routes, Route, Link } from 'react-router-dom'
 import Home from './pages/Home'
 import TossupPractice from './pages/TossupPractice'
 import BonusPractice from './pages/BonusPractice'
+import PacketPractice from './pages/PacketPractice'
 import Multiplayer from './pages/Multiplayer'
+import Stats from './pages/Stats'
+import Review from './pages/Review'
+import Search from './pages/Search'
+import SetBrowser from './pages/SetBrowser'
+import PacketView from './pages/PacketView'
+import QuestionLink from './pages/QuestionLink'
+import SettingsProvider from './components/SettingsProvider'
 import './App.css'
 
 function App() {
   return (
-    <BrowserRouter>
-      <header className="app-header">
-        <Link to="/" className="app-title">QuizBowl TTS</Link>
-      </header>
-      <main>
-        <Routes>
-          <Route path="/" element={<Home />} />
-          <Route path="/practice/tossup" element={<TossupPractice />} />
-          <Route path="/practice/bonus" element={<BonusPractice />} />
-          <Route path="/multiplayer" element={<Multiplayer />} />
-        </Routes>
-      </main>
-    </BrowserRouter>
+    <SettingsProvider>
+      <BrowserRouter basename={import.meta.env.BASE_URL}>
+        <header className="app-header">
+          <Link to="/" className="app-title">QuizBowl TTS</Link>
+        </header>
+        <main>
+          <Routes>
+            <Route path="/" element={<Home />} />
+            <Route path="/practice/tossup" element={<TossupPractice />} />
+            <Route path="/practice/bonus" element={<BonusPractice />} />
+            <Route path="/practice/packet" element={<PacketPractice />} />
+            <Route path="/multiplayer" element={<Multiplayer />} />
+            <Route path="/stats" element={<Stats />} />
+            <Route path="/review" element={<Review />} />
+            <Route path="/search" element={<Search />} />
+            <Route path="/sets" element={<SetBrowser />} />
+            <Route path="/sets/:setName" element={<SetBrowser />} />
+            <Route path="/sets/:setName/:packetNumber" element={<PacketView />} />
+            <Route path="/question/:type/:id" element={<QuestionLink />} />
+          </Routes>
+        </main>
+      </BrowserRouter>
+    </SettingsProvider>
   )
 }
 
@@ -0,0 +1,86 @@
+import { withStore, requestToPromise } from './db'
+
+/**
+ * Offline cache for questions and packets, stored in IndexedDB.
+ * qbreader.js writes everything it fetches here and reads it back when the
+ * API is unreachable.
+ */
+
+/**
+ * Store fetched questions, replacing any with the same _id.
+ * @param {string} storeName - "tossups" or "bonuses"
+ * @param {Object[]} questions
+ */
+export async function cacheQuestions(storeName, questions) {
+  const withIds = (questions || []).filter(q => q && q._id)
+  if (withIds.length === 0) return
+  return withStore(storeName, 'readwrite', store => {
+    for (const q of withIds) store.put(q)
+  })
+}
+
+/**
+ * Load every cached question of one type.
+ * @param {string} storeName - "tossups" or "bonuses"
+ * @returns {Promise<Object[]>}
+ */
+export async function getCachedQuestions(storeName) {
+  return withStore(storeName, 'readonly', store => requestToPromise(store.getAll()))
+}
+
+/**
+ * Load one cached question by id.
+ * @param {string} storeName - "tossups" or "bonuses"
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getCachedQuestion(storeName, id) {
+  const question = await withStore(storeName, 'readonly', store => requestToPromise(store.get(id)))
+  return question || null
+}
+
+const packetKey = (setName, packetNumber) => `${setName}#${packetNumber}`
+
+/**
+ * Store a fetched packet.
+ * @param {string} setName
+ * @param {number} packetNumber
+ * @param {{tossups: Array, bonuses: Array}} packet
+ */
+export async function cachePacket(setName, packetNumber, packet) {
+  return withStore('packets', 'readwrite', store =>
+    requestToPromise(store.put({ key: packetKey(setName, packetNumber), setName, packetNumber, ...packet }))
+  )
+}
+
+/**
+ * Load a cached packet.
+ * @param {string} setName
+ * @param {number} packetNumber
+ * @returns {Promise<{tossups: Array, bonuses: Array}|null>}
+ */
+export async function getCachedPacket(setName, packetNumber) {
+  const packet = await withStore('packets', 'readonly', store =>
+    requestToPromise(store.get(packetKey(setName, packetNumber)))
+  )
+  return packet || null
+}
+
+/**
+ * Count cached tossups, bonuses and packets.
+ * @returns {Promise<{tossups: number, bonuses: number, packets: number}>}
+ */
+export async function countCached() {
+  const count = name => withStore(name, 'readonly', store => requestToPromise(store.count()))
+  const [tossups, bonuses, packets] = await Promise.all([count('tossups'), count('bonuses'), count('packets')])
+  return { tossups, bonuses, packets }
+}
+
+/**
+ * Delete all cached questions and packets.
+ */
+export async function clearCache() {
+  await Promise.all(['tossups', 'bonuses', 'packets'].map(name =>
+    withStore(name, 'readwrite', store => requestToPromise(store.clear()))
+  ))
+}
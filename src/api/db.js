@@ -0,0 +1,85 @@
+/**
+ * Shared IndexedDB connection for everything the app keeps locally.
+ *
+ * Stores are created in `onupgradeneeded`, keyed off the old version so each
+ * bump only adds what's new. Bump DB_VERSION when adding a store or index.
+ */
+
+const DB_NAME = 'quizbowl-tts'
+const DB_VERSION = 3
+
+let dbPromise = null
+
+/**
+ * Open the database, creating or upgrading stores as needed.
+ * The connection is opened once and reused.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION)
+
+      req.onupgradeneeded = (event) => {
+        const db = req.result
+        if (event.oldVersion < 1) {
+          const results = db.createObjectStore('results', { keyPath: 'id', autoIncrement: true })
+          results.createIndex('timestamp', 'timestamp')
+        }
+        if (event.oldVersion < 2) {
+          // Offline question cache (see api/cache)
+          db.createObjectStore('tossups', { keyPath: '_id' })
+          db.createObjectStore('bonuses', { keyPath: '_id' })
+          db.createObjectStore('packets', { keyPath: 'key' })
+        }
+        if (event.oldVersion < 3) {
+          // Spaced-repetition review deck (see api/review)
+          const review = db.createObjectStore('review', { keyPath: 'id' })
+          review.createIndex('due', 'due')
+        }
+      }
+
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => {
+        dbPromise = null
+        reject(req.error)
+      }
+    })
+  }
+  return dbPromise
+}
+
+/**
+ * Wrap an IDBRequest in a promise.
+ * @param {IDBRequest} req
+ * @returns {Promise<any>}
+ */
+export function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+/**
+ * Run `fn` against a single object store inside its own transaction.
+ * Resolves with whatever `fn` resolves to, once the transaction completes.
+ * @param {string} storeName
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {(store: IDBObjectStore) => Promise<any>|any} fn
+ */
+export async function withStore(storeName, mode, fn) {
+  const db = await openDB()
+  const tx = db.transaction(storeName, mode)
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+  // If fn fails, the transaction aborts too; the caller gets fn's error, and
+  // this keeps the abort from going unhandled
+  done.catch(() => {})
+  const result = await fn(tx.objectStore(storeName))
+  await done
+  return result
+}
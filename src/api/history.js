@@ -0,0 +1,30 @@
+import { withStore, requestToPromise } from './db'
+import { filterRecords } from '../utils/history'
+
+/**
+ * Save a practice result (see utils/history for the record builders).
+ * @param {Object} record
+ * @returns {Promise<number>} The new record's id
+ */
+export async function saveResult(record) {
+  return withStore('results', 'readwrite', store => requestToPromise(store.add(record)))
+}
+
+/**
+ * Load saved practice results, oldest first.
+ * @param {Object} [opts] - Same filters as filterRecords
+ * @returns {Promise<Object[]>}
+ */
+export async function getResults(opts = {}) {
+  const records = await withStore('results', 'readonly', store =>
+    requestToPromise(store.index('timestamp').getAll())
+  )
+  return filterRecords(records, opts)
+}
+
+/**
+ * Delete all saved practice results.
+ */
+export async function clearResults() {
+  return withStore('results', 'readwrite', store => requestToPromise(store.clear()))
+}
@@ -0,0 +1,102 @@
+/**
+ * Prefetch buffer for random questions.
+ *
+ * Requests several questions at once (via the API's `number` option) and
+ * refills in the background once the buffer runs low, so the next question
+ * is usually ready immediately. The buffer is thrown away whenever the
+ * filter options change.
+ *
+ * @param {(opts: Object) => Promise<Object[]>} fetchMany - e.g. getRandomTossup
+ * @param {Object} [config]
+ * @param {number} [config.batchSize=5] - Questions requested per refill
+ * @param {number} [config.refillAt=2] - Refill when this many or fewer remain
+ */
+export function createPrefetchQueue(fetchMany, { batchSize = 5, refillAt = 2 } = {}) {
+  let key = null
+  let filters = null
+  let buffer = []
+  let pending = null
+  let generation = 0
+
+  function reset() {
+    generation++
+    key = null
+    buffer = []
+    pending = null
+  }
+
+  // Switch to a new set of filters, dropping anything buffered for the old ones
+  function switchFilters(opts) {
+    const nextKey = JSON.stringify(opts)
+    if (nextKey !== key) {
+      reset()
+      key = nextKey
+      filters = opts
+    }
+  }
+
+  function refill(opts) {
+    if (pending) return pending
+    const gen = generation
+    pending = fetchMany({ ...opts, number: batchSize })
+      .then(questions => {
+        if (gen === generation) buffer.push(...(questions || []))
+      })
+      .finally(() => {
+        if (gen === generation) pending = null
+      })
+    return pending
+  }
+
+  /**
+   * Start filling the buffer in the background.
+   * @param {Object} opts - Filter options
+   */
+  function prefetch(opts) {
+    switchFilters(opts)
+    if (buffer.length <= refillAt) {
+      refill(opts).catch(err => console.warn('Prefetch failed:', err.message))
+    }
+  }
+
+  /**
+   * Take the next question, waiting for a fetch only if the buffer is empty.
+   * If the filters change while it waits, it waits for the new filters instead.
+   * @param {Object} opts - Filter options
+   * @returns {Promise<Object|null>} null if the API returned no questions
+   */
+  async function next(opts) {
+    switchFilters(opts)
+    while (buffer.length === 0) {
+      const gen = generation
+      await refill(filters)
+      if (gen === generation) break
+    }
+    const question = buffer.shift() ?? null
+    prefetch(filters)
+    return question
+  }
+
+  return {
+    next,
+    prefetch,
+    reset,
+    get buffered() {
+      return buffer.length
+    },
+  }
+}
+
+/**
+ * Question source over a fixed list, e.g. search results. Has the same next()
+ * as the prefetch queue, resolving null once every question has been served.
+ * @param {Object[]} questions
+ */
+export function createListSource(questions) {
+  let index = 0
+  return {
+    async next() {
+      return questions[index++] ?? null
+    },
+  }
+}
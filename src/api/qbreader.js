@@ -1,4 +1,7 @@
 import axios from 'axios'
+import { cacheQuestions, getCachedQuestions, getCachedQuestion, cachePacket, getCachedPacket } from './cache'
+import { judgeAnswer } from '../utils/judge'
+import { sampleQuestions } from '../utils/filters'
 
 const BASE_URL = 'https://www.qbreader.org/api'
 const RATE_LIMIT_MS = 50 // 20 req/sec = 50ms between requests
@@ -56,6 +59,26 @@ export const CATEGORIES = [
   'Current Events', 'Geography', 'Other Academic', 'Trash',
 ]
 
+// Subcategories of each category; categories not listed have a single
+// subcategory with the category's own name
+export const SUBCATEGORIES = {
+  'Literature': [
+    'American Literature', 'British Literature', 'Classical Literature',
+    'European Literature', 'World Literature', 'Other Literature',
+  ],
+  'History': ['American History', 'Ancient History', 'European History', 'World History', 'Other History'],
+  'Science': ['Biology', 'Chemistry', 'Physics', 'Other Science'],
+  'Fine Arts': ['Visual Fine Arts', 'Auditory Fine Arts', 'Other Fine Arts'],
+}
+
+// Alternate subcategories, which cut across the subcategories above
+// (e.g. literature by form, or the fields inside Other Science)
+export const ALTERNATE_SUBCATEGORIES = {
+  'Literature': ['Drama', 'Long Fiction', 'Poetry', 'Short Fiction', 'Misc Literature'],
+  'Science': ['Math', 'Astronomy', 'Computer Science', 'Earth Science', 'Engineering', 'Misc Science'],
+  'Fine Arts': ['Architecture', 'Dance', 'Film', 'Jazz', 'Musicals', 'Opera', 'Photography', 'Misc Arts'],
+}
+
 // Difficulty levels (0-10)
 export const DIFFICULTIES = [
   { value: 0, label: 'Unrated' },
@@ -71,26 +94,62 @@ export const DIFFICULTIES = [
   { value: 10, label: '10 - National' },
 ]
 
+/**
+ * Whether a request failed because the API couldn't be reached at all,
+ * as opposed to returning an error response.
+ * @param {Error} err - Error thrown by axios
+ * @returns {boolean}
+ */
+export function isNetworkError(err) {
+  return !err.response
+}
+
+function randomParams(opts, number) {
+  return {
+    number,
+    categories: opts.categories?.join(','),
+    subcategories: opts.subcategories?.join(','),
+    alternateSubcategories: opts.alternateSubcategories?.join(','),
+    difficulties: opts.difficulties?.join(','),
+    minYear: opts.minYear,
+    maxYear: opts.maxYear,
+  }
+}
+
+// Fetch random questions, caching them for offline use. Falls back to the
+// cache when the API is unreachable, or goes straight to it in offline mode.
+async function getRandomQuestions(path, type, opts) {
+  const number = opts.number || 1
+  if (!opts.offline) {
+    try {
+      const data = await get(path, randomParams(opts, number))
+      cacheQuestions(type, data[type])
+        .catch(err => console.warn('Failed to cache questions:', err.message))
+      return data[type]
+    } catch (err) {
+      if (!isNetworkError(err)) throw err
+      const cached = sampleQuestions(await getCachedQuestions(type).catch(() => []), opts, number)
+      if (cached.length === 0) throw err
+      return cached
+    }
+  }
+  return sampleQuestions(await getCachedQuestions(type), opts, number)
+}
+
 /**
  * Fetch random tossup(s).
  * @param {Object} opts
  * @param {number} [opts.number=1] - Number of tossups to return
  * @param {string[]} [opts.categories] - Filter by categories
  * @param {string[]} [opts.subcategories] - Filter by subcategories
+ * @param {string[]} [opts.alternateSubcategories] - Filter by alternate subcategories
  * @param {number[]} [opts.difficulties] - Filter by difficulties
  * @param {number} [opts.minYear] - Minimum year
  * @param {number} [opts.maxYear] - Maximum year
+ * @param {boolean} [opts.offline] - Serve only from the offline cache
  */
 export async function getRandomTossup(opts = {}) {
-  const data = await get('/random-tossup', {
-    number: opts.number || 1,
-    categories: opts.categories?.join(','),
-    subcategories: opts.subcategories?.join(','),
-    difficulties: opts.difficulties?.join(','),
-    minYear: opts.minYear,
-    maxYear: opts.maxYear,
-  })
-  return data.tossups
+  return getRandomQuestions('/random-tossup', 'tossups', opts)
 }
 
 /**
@@ -98,30 +157,92 @@ export async function getRandomTossup(opts = {}) {
  * @param {Object} opts - Same filters as getRandomTossup
  */
 export async function getRandomBonus(opts = {}) {
-  const data = await get('/random-bonus', {
-    number: opts.number || 1,
-    categories: opts.categories?.join(','),
-    subcategories: opts.subcategories?.join(','),
-    difficulties: opts.difficulties?.join(','),
-    minYear: opts.minYear,
-    maxYear: opts.maxYear,
-  })
-  return data.bonuses
+  return getRandomQuestions('/random-bonus', 'bonuses', opts)
+}
+
+// Fetch one question by id, caching it; falls back to the cache when the
+// API is unreachable.
+async function getQuestionById(path, type, key, id) {
+  try {
+    const data = await get(path, { id })
+    const question = data[key]
+    cacheQuestions(type, [question])
+      .catch(err => console.warn('Failed to cache question:', err.message))
+    return question
+  } catch (err) {
+    if (!isNetworkError(err)) throw err
+    const cached = await getCachedQuestion(type, id).catch(() => null)
+    if (!cached) throw err
+    return cached
+  }
+}
+
+/**
+ * Fetch a single tossup by its qbreader id.
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+export async function getTossupById(id) {
+  return getQuestionById('/tossup-by-id', 'tossups', 'tossup', id)
+}
+
+/**
+ * Fetch a single bonus by its qbreader id.
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+export async function getBonusById(id) {
+  return getQuestionById('/bonus-by-id', 'bonuses', 'bonus', id)
+}
+
+const DOWNLOAD_BATCH_SIZE = 50
+
+/**
+ * Download a pool of random questions into the offline cache.
+ * @param {Object} opts - Same filters as getRandomTossup
+ * @param {Object} [counts]
+ * @param {number} [counts.tossups=100]
+ * @param {number} [counts.bonuses=50]
+ * @param {(done: number, total: number) => void} [onProgress]
+ */
+export async function downloadPool(opts = {}, { tossups = 100, bonuses = 50 } = {}, onProgress) {
+  const total = tossups + bonuses
+  let done = 0
+  const jobs = [['/random-tossup', 'tossups', tossups], ['/random-bonus', 'bonuses', bonuses]]
+  for (const [path, type, count] of jobs) {
+    for (let fetched = 0; fetched < count;) {
+      const number = Math.min(DOWNLOAD_BATCH_SIZE, count - fetched)
+      const data = await get(path, randomParams(opts, number))
+      await cacheQuestions(type, data[type])
+      fetched += number
+      done += number
+      onProgress?.(done, total)
+    }
+  }
 }
 
 /**
  * Check if an answer is correct.
+ * Falls back to the local judge (utils/judge) if the API call fails.
  * @param {string} givenAnswer - The user's answer
  * @param {string} expectedAnswer - The correct answer string
+ * @param {Object} [opts]
+ * @param {boolean} [opts.offline=false] - Skip the API and judge locally
  * @returns {Promise<{directive: string, directedPrompt: string|null}>}
  *   directive: "accept", "reject", or "prompt"
  */
-export async function checkAnswer(givenAnswer, expectedAnswer) {
+export async function checkAnswer(givenAnswer, expectedAnswer, { offline = false } = {}) {
   const normalized = normalizeAnswer(givenAnswer)
-  return get('/check-answer', {
-    answerline: expectedAnswer,
-    givenAnswer: normalized,
-  })
+  if (offline) return judgeAnswer(normalized, expectedAnswer)
+  try {
+    return await get('/check-answer', {
+      answerline: expectedAnswer,
+      givenAnswer: normalized,
+    })
+  } catch (err) {
+    console.warn('check-answer failed, judging locally:', err.message)
+    return judgeAnswer(normalized, expectedAnswer)
+  }
 }
 
 /**
@@ -144,12 +265,23 @@ export async function getNumPackets(setName) {
 
 /**
  * Get a full packet (tossups + bonuses) by set name and packet number.
+ * Packets are cached, and served from the cache when the API is unreachable.
  * @param {string} setName
  * @param {number} packetNumber - 1-indexed
  * @returns {Promise<{tossups: Array, bonuses: Array}>}
  */
 export async function getPacket(setName, packetNumber) {
-  return get('/packet', { setName, packetNumber })
+  try {
+    const packet = await get('/packet', { setName, packetNumber })
+    cachePacket(setName, packetNumber, packet)
+      .catch(err => console.warn('Failed to cache packet:', err.message))
+    return packet
+  } catch (err) {
+    if (!isNetworkError(err)) throw err
+    const cached = await getCachedPacket(setName, packetNumber).catch(() => null)
+    if (!cached) throw err
+    return cached
+  }
 }
 
 /**
@@ -159,14 +291,21 @@ export async function getPacket(setName, packetNumber) {
  * @param {string} [opts.questionType] - "tossup", "bonus", or "all"
  * @param {string[]} [opts.categories]
  * @param {number[]} [opts.difficulties]
- * @param {number} [opts.maxReturnLength=25] - Max results
+ * @param {string} [opts.searchType] - "question", "answer", or "all"
+ * @param {number} [opts.maxReturnLength=25] - Max results per page
+ * @param {number} [opts.tossupPagination=1] - 1-indexed page of tossup results
+ * @param {number} [opts.bonusPagination=1] - 1-indexed page of bonus results
+ * @returns {Promise<{tossups: {count: number, questionArray: Array}, bonuses: {count: number, questionArray: Array}}>}
  */
 export async function queryQuestions(opts = {}) {
   return get('/query', {
     queryString: opts.queryString,
     questionType: opts.questionType || 'all',
+    searchType: opts.searchType,
     categories: opts.categories?.join(','),
     difficulties: opts.difficulties?.join(','),
     maxReturnLength: opts.maxReturnLength || 25,
+    tossupPagination: opts.tossupPagination,
+    bonusPagination: opts.bonusPagination,
   })
 }
@@ -0,0 +1,52 @@
+import { withStore, requestToPromise } from './db'
+import { createReviewCard, scheduleReview, reviewCardId, dueCards, PASSING_QUALITY } from '../utils/review'
+
+/**
+ * Review deck storage (see utils/review for the scheduling).
+ */
+
+/**
+ * Grade a finished question against the review deck. Cards already in the
+ * deck are rescheduled; a question not in the deck is added only when it was
+ * missed.
+ * @param {string} type - "tossup" or "bonus"
+ * @param {Object} question - Tossup or bonus from the API
+ * @param {number} quality - SM-2 quality, 0-5
+ * @returns {Promise<Object|null>} The updated card, or null if not in the deck
+ */
+export async function recordReview(type, question, quality) {
+  if (!question?._id) return null
+  return withStore('review', 'readwrite', async store => {
+    const existing = await requestToPromise(store.get(reviewCardId(type, question)))
+    if (!existing && quality >= PASSING_QUALITY) return null
+    const card = scheduleReview(existing || createReviewCard(type, question), quality)
+    store.put(card)
+    return card
+  })
+}
+
+/**
+ * Load every card in the deck.
+ * @returns {Promise<Object[]>}
+ */
+export async function getReviewCards() {
+  return withStore('review', 'readonly', store => requestToPromise(store.index('due').getAll()))
+}
+
+/**
+ * Load the cards due now, most overdue first.
+ * @param {string} [type] - Only "tossup" or "bonus" cards
+ * @returns {Promise<Object[]>}
+ */
+export async function getDueReviewCards(type) {
+  const cards = await getReviewCards()
+  return dueCards(type ? cards.filter(c => c.type === type) : cards)
+}
+
+/**
+ * Remove a card from the deck.
+ * @param {string} id
+ */
+export async function removeReviewCard(id) {
+  return withStore('review', 'readwrite', store => requestToPromise(store.delete(id)))
+}
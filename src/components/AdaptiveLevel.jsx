@@ -0,0 +1,20 @@
+import { DIFFICULTIES } from '../api/qbreader'
+
+// Level changes shown after the current level
+const TRAIL_LENGTH = 5
+
+/**
+ * Scoreboard entry for adaptive difficulty: the current level and the
+ * levels it recently moved through.
+ */
+export default function AdaptiveLevel({ state }) {
+  const label = DIFFICULTIES.find(d => d.value === state.level)?.label ?? String(state.level)
+  const trail = state.history.slice(-TRAIL_LENGTH).map(h => h.level)
+
+  return (
+    <span className="scoreboard-level" title={label}>
+      Level: <strong>{state.level}</strong>
+      {trail.length > 1 && <span className="level-history">({trail.join(' → ')})</span>}
+    </span>
+  )
+}
@@ -0,0 +1,28 @@
+/**
+ * Collapsible panel showing how often each category is picked in
+ * "focus on weaknesses" mode.
+ */
+export default function CategoryWeights({ weights }) {
+  const sorted = [...weights].sort((a, b) => b.weight - a.weight)
+
+  return (
+    <details className="settings-group weights-panel">
+      <summary>Category weights</summary>
+      <div className="settings-content">
+        {sorted.length === 0 && <p className="setting-hint">Loading practice history...</p>}
+        {sorted.map(w => (
+          <div key={w.category} className="weight-row">
+            <span className="weight-name">{w.category}</span>
+            <span className="weight-bar">
+              <span style={{ width: `${Math.round(w.weight * 100)}%` }} />
+            </span>
+            <span className="weight-value">{Math.round(w.weight * 100)}%</span>
+            <span className="weight-detail">
+              {w.heard ? `${Math.round(w.rate * 100)}% over ${w.heard}` : 'unplayed'}
+            </span>
+          </div>
+        ))}
+      </div>
+    </details>
+  )
+}
@@ -0,0 +1,66 @@
+import { useState, useEffect } from 'react'
+import { useHref } from 'react-router-dom'
+
+// How long the "Copied!" confirmation stays up
+const FEEDBACK_MS = 2000
+
+/**
+ * Copies a shareable link to one tossup or bonus (/question/:type/:id).
+ * Where the clipboard can't be used (e.g. pages not served over HTTPS), the
+ * link is shown selected instead, to copy by hand.
+ */
+export default function CopyLinkButton({ type, id }) {
+  const [status, setStatus] = useState(null)
+  const [showUrl, setShowUrl] = useState(false)
+  // Includes the router's base path when the app is served under one
+  const href = useHref(`/question/${type}/${encodeURIComponent(id ?? '')}`)
+
+  useEffect(() => {
+    if (!status) return
+    const timer = setTimeout(() => setStatus(null), FEEDBACK_MS)
+    return () => clearTimeout(timer)
+  }, [status])
+
+  if (!id) return null
+
+  const url = new URL(href, window.location.origin).href
+
+  const showFallback = (err) => {
+    console.warn('Failed to copy link:', err.message)
+    setStatus('Copy failed')
+    setShowUrl(true)
+  }
+
+  const handleCopy = () => {
+    if (!navigator.clipboard?.writeText) {
+      showFallback(new Error('Clipboard API unavailable'))
+      return
+    }
+    try {
+      navigator.clipboard.writeText(url)
+        .then(() => setStatus('Copied!'))
+        .catch(showFallback)
+    } catch (err) {
+      showFallback(err)
+    }
+  }
+
+  return (
+    <>
+      <button className="btn" onClick={handleCopy}>
+        {status || 'Copy link'}
+      </button>
+      {showUrl && (
+        <input
+          className="copy-link-url"
+          type="text"
+          readOnly
+          value={url}
+          autoFocus
+          onFocus={e => e.target.select()}
+          aria-label="Question link"
+        />
+      )}
+    </>
+  )
+}
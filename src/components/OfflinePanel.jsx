@@ -0,0 +1,99 @@
+import { useState, useEffect, useCallback } from 'react'
+import { downloadPool } from '../api/qbreader'
+import { countCached, clearCache } from '../api/cache'
+import { buildQuestionFilters } from '../utils/filters'
+
+export default function OfflinePanel({ settings, onChange }) {
+  const [counts, setCounts] = useState(null)
+  const [tossupCount, setTossupCount] = useState(100)
+  const [bonusCount, setBonusCount] = useState(50)
+  const [progress, setProgress] = useState(null)
+  const [error, setError] = useState(null)
+
+  const refreshCounts = useCallback(() => {
+    countCached()
+      .then(setCounts)
+      .catch(err => setError('Offline cache unavailable: ' + err.message))
+  }, [])
+
+  useEffect(() => {
+    refreshCounts()
+  }, [refreshCounts])
+
+  const handleDownload = async () => {
+    setError(null)
+    setProgress({ done: 0, total: tossupCount + bonusCount })
+    try {
+      const filters = buildQuestionFilters({ ...settings, offlineMode: false })
+      await downloadPool(filters, { tossups: tossupCount, bonuses: bonusCount }, (done, total) => {
+        setProgress({ done, total })
+      })
+    } catch (err) {
+      setError('Download failed: ' + err.message)
+    }
+    setProgress(null)
+    refreshCounts()
+  }
+
+  const handleClear = async () => {
+    setError(null)
+    try {
+      await clearCache()
+    } catch (err) {
+      setError('Failed to clear cache: ' + err.message)
+    }
+    refreshCounts()
+  }
+
+  return (
+    <div className="setting-section">
+      <span>
+        Offline questions
+        {counts && ` (${counts.tossups} tossups, ${counts.bonuses} bonuses, ${counts.packets} packets)`}
+      </span>
+
+      <label className="setting-row">
+        <span>Practice from downloaded questions only</span>
+        <input
+          type="checkbox"
+          checked={!!settings.offlineMode}
+          onChange={e => onChange(e.target.checked)}
+        />
+      </label>
+
+      <div className="setting-row offline-download">
+        <label>
+          Tossups{' '}
+          <input
+            type="number"
+            min="0"
+            step="10"
+            value={tossupCount}
+            onChange={e => setTossupCount(Math.max(0, parseInt(e.target.value, 10) || 0))}
+          />
+        </label>
+        <label>
+          Bonuses{' '}
+          <input
+            type="number"
+            min="0"
+            step="10"
+            value={bonusCount}
+            onChange={e => setBonusCount(Math.max(0, parseInt(e.target.value, 10) || 0))}
+          />
+        </label>
+        <button className="chip" onClick={handleDownload} disabled={progress !== null}>
+          {progress ? `Downloading ${progress.done}/${progress.total}...` : 'Download'}
+        </button>
+        <button className="chip" onClick={handleClear} disabled={progress !== null}>
+          Clear
+        </button>
+      </div>
+      <div className="setting-hint">
+        Downloads use the category and difficulty filters below.
+      </div>
+
+      {error && <div className="error-msg">{error}</div>}
+    </div>
+  )
+}
@@ -0,0 +1,81 @@
+import { useState, useRef } from 'react'
+import useSettings from '../hooks/useSettings'
+
+export default function PresetPanel() {
+  const { presets, savePreset, applyPreset, deletePreset, importPresets, exportPresets } = useSettings()
+  const [selected, setSelected] = useState('')
+  const [name, setName] = useState('')
+  const [message, setMessage] = useState(null)
+  const fileRef = useRef(null)
+
+  const select = (id) => {
+    setSelected(id)
+    setMessage(null)
+    if (id) applyPreset(id)
+  }
+
+  const handleSave = () => {
+    if (!name.trim()) return
+    savePreset(name)
+    setMessage(`Saved "${name.trim()}"`)
+    setName('')
+  }
+
+  const handleDelete = () => {
+    deletePreset(selected)
+    setSelected('')
+  }
+
+  const handleExport = () => {
+    const blob = new Blob([exportPresets()], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = 'quizbowl-presets.json'
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const count = importPresets(await file.text())
+      setMessage(`Imported ${count} preset${count === 1 ? '' : 's'}`)
+    } catch (err) {
+      setMessage('Import failed: ' + err.message)
+    }
+  }
+
+  return (
+    <div className="setting-section">
+      <span>Presets</span>
+      <div className="setting-row">
+        <select value={selected} onChange={e => select(e.target.value)}>
+          <option value="">Choose a preset...</option>
+          {presets.map(p => (
+            <option key={p.id} value={p.id}>{p.name}</option>
+          ))}
+        </select>
+        {selected && <button className="chip" onClick={handleDelete}>Delete</button>}
+      </div>
+      <div className="setting-row">
+        <input
+          type="text"
+          value={name}
+          onChange={e => setName(e.target.value)}
+          onKeyDown={e => { if (e.key === 'Enter') handleSave() }}
+          placeholder='e.g. "HS nationals drill"'
+        />
+        <button className="chip" onClick={handleSave} disabled={!name.trim()}>Save current</button>
+      </div>
+      <div className="preset-actions">
+        <button className="chip" onClick={handleExport} disabled={presets.length === 0}>Export</button>
+        <button className="chip" onClick={() => fileRef.current?.click()}>Import</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" hidden onChange={handleImport} />
+      </div>
+      {message && <div className="setting-hint">{message}</div>}
+    </div>
+  )
+}
@@ -0,0 +1,120 @@
+import { useState } from 'react'
+import {
+  RULESETS, DEFAULT_RULESET, normalizeRuleset, createCustomRuleset,
+  loadCustomRulesets, saveCustomRulesets,
+} from '../utils/rulesets'
+
+export default function RulesetPicker({ ruleset = DEFAULT_RULESET, onChange }) {
+  const [customs, setCustoms] = useState(() => loadCustomRulesets())
+  // Number fields as typed, for the ruleset being edited. They're normalized
+  // when the field loses focus, so a field can be cleared and retyped.
+  const [drafts, setDrafts] = useState({ id: null, values: {} })
+  const draftValues = drafts.id === ruleset.id ? drafts.values : {}
+
+  const saveCustoms = (next) => {
+    setCustoms(next)
+    saveCustomRulesets(next)
+  }
+
+  const select = (id) => {
+    const match = [...RULESETS, ...customs].find(r => r.id === id)
+    if (match) onChange(match)
+  }
+
+  const addCustom = () => {
+    const custom = createCustomRuleset(ruleset, `Custom ${customs.length + 1}`)
+    saveCustoms([...customs, custom])
+    onChange(custom)
+  }
+
+  const editCustom = (key, value) => {
+    const edited = normalizeRuleset({ ...ruleset, [key]: value })
+    saveCustoms(customs.map(r => r.id === edited.id ? edited : r))
+    onChange(edited)
+  }
+
+  const editDraft = (key, value) => {
+    setDrafts({ id: ruleset.id, values: { ...draftValues, [key]: value } })
+  }
+
+  const commitDraft = (key) => {
+    if (!(key in draftValues)) return
+    const { [key]: value, ...rest } = draftValues
+    setDrafts({ id: ruleset.id, values: rest })
+    editCustom(key, value)
+  }
+
+  const numberInput = (key) => (
+    <input
+      type="number"
+      value={draftValues[key] ?? ruleset[key] ?? ''}
+      onChange={e => editDraft(key, e.target.value)}
+      onBlur={() => commitDraft(key)}
+      onKeyDown={e => { if (e.key === 'Enter') e.target.blur() }}
+    />
+  )
+
+  const deleteCustom = () => {
+    saveCustoms(customs.filter(r => r.id !== ruleset.id))
+    onChange(DEFAULT_RULESET)
+  }
+
+  return (
+    <div className="setting-section">
+      <span>Scoring</span>
+      <div className="setting-row">
+        <select value={ruleset.id} onChange={e => select(e.target.value)}>
+          {RULESETS.map(r => (
+            <option key={r.id} value={r.id}>{r.name}</option>
+          ))}
+          {customs.map(r => (
+            <option key={r.id} value={r.id}>{r.name} (custom)</option>
+          ))}
+        </select>
+        <button className="chip" onClick={addCustom}>New custom</button>
+      </div>
+
+      <div className="setting-hint">
+        {ruleset.superpower != null ? `Superpower ${ruleset.superpower} / ` : ''}
+        {ruleset.power != null ? `Power ${ruleset.power} / ` : ''}
+        Correct {ruleset.correct} / Neg {ruleset.neg}
+        {ruleset.neg !== 0 && !ruleset.negAfterEnd ? ' (interrupts only)' : ''}
+        {' / '}Bonus parts {ruleset.bonusPart}
+      </div>
+
+      {ruleset.custom && (
+        <div className="ruleset-editor">
+          <label className="setting-row">
+            <span>Name</span>
+            <input type="text" value={ruleset.name} onChange={e => editCustom('name', e.target.value)} />
+          </label>
+          <label className="setting-row">
+            <span>Superpower (blank for none)</span>
+            {numberInput('superpower')}
+          </label>
+          <label className="setting-row">
+            <span>Power (blank for none)</span>
+            {numberInput('power')}
+          </label>
+          <label className="setting-row">
+            <span>Correct</span>
+            {numberInput('correct')}
+          </label>
+          <label className="setting-row">
+            <span>Neg (0 for none)</span>
+            {numberInput('neg')}
+          </label>
+          <label className="setting-row">
+            <span>Neg after end of question</span>
+            <input type="checkbox" checked={ruleset.negAfterEnd} onChange={e => editCustom('negAfterEnd', e.target.checked)} />
+          </label>
+          <label className="setting-row">
+            <span>Bonus part value</span>
+            {numberInput('bonusPart')}
+          </label>
+          <button className="chip" onClick={deleteCustom}>Delete ruleset</button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,16 +1,42 @@
-import { CATEGORIES, DIFFICULTIES } from '../api/qbreader'
+import { CATEGORIES, SUBCATEGORIES, ALTERNATE_SUBCATEGORIES, DIFFICULTIES } from '../api/qbreader'
+import RulesetPicker from './RulesetPicker'
+import OfflinePanel from './OfflinePanel'
+import PresetPanel from './PresetPanel'
+import { DISTRIBUTIONS } from '../utils/distributions'
+import { READERS, MIN_WPM, MAX_WPM } from '../utils/readers'
+import { PRONUNCIATION_MODES } from '../utils/pronunciation'
+import { SETTING_RANGES } from '../utils/settings'
 
-export default function Settings({ settings, onChange, voices }) {
+export default function Settings({ settings, onChange, voices, mode }) {
   const update = (key, value) => {
     onChange({ ...settings, key: undefined, [key]: value })
   }
 
   const toggleCategory = (cat) => {
     const cats = settings.categories || []
-    const next = cats.includes(cat)
-      ? cats.filter(c => c !== cat)
-      : [...cats, cat]
-    update('categories', next)
+    if (!cats.includes(cat)) {
+      update('categories', [...cats, cat])
+      return
+    }
+    // Deselecting a category drops the subcategories picked under it
+    const subs = SUBCATEGORIES[cat] || []
+    const alts = ALTERNATE_SUBCATEGORIES[cat] || []
+    onChange({
+      ...settings,
+      categories: cats.filter(c => c !== cat),
+      subcategories: (settings.subcategories || []).filter(s => !subs.includes(s)),
+      alternateSubcategories: (settings.alternateSubcategories || []).filter(s => !alts.includes(s)),
+    })
+  }
+
+  const toggleIn = (key, value) => {
+    const list = settings[key] || []
+    update(key, list.includes(value) ? list.filter(v => v !== value) : [...list, value])
+  }
+
+  const updateYear = (key, value) => {
+    const year = parseInt(value, 10)
+    update(key, Number.isNaN(year) ? null : year)
   }
 
   const toggleDifficulty = (diff) => {
@@ -26,6 +52,32 @@ export default function Settings({ settings, onChange, voices }) {
       <details className="settings-group">
         <summary>Settings</summary>
         <div className="settings-content">
+          <PresetPanel />
+
+          {/* Reader */}
+          <label className="setting-row">
+            <span>Reader</span>
+            <select value={settings.reader || 'speech'} onChange={e => update('reader', e.target.value)}>
+              {READERS.map(r => (
+                <option key={r.value} value={r.value}>{r.label}</option>
+              ))}
+            </select>
+          </label>
+
+          {settings.reader === 'silent' && (
+            <label className="setting-row">
+              <span>Pace: {settings.readerWpm} wpm</span>
+              <input
+                type="range"
+                min={MIN_WPM}
+                max={MAX_WPM}
+                step="10"
+                value={settings.readerWpm}
+                onChange={e => update('readerWpm', parseInt(e.target.value, 10))}
+              />
+            </label>
+          )}
+
           {/* Voice */}
           <label className="setting-row">
             <span>Voice</span>
@@ -45,16 +97,31 @@ export default function Settings({ settings, onChange, voices }) {
           </label>
 
           {/* Speed */}
+          {settings.reader !== 'silent' && (
+            <label className="setting-row">
+              <span>Speed: {settings.rate?.toFixed(1) || '1.0'}x</span>
+              <input
+                type="range"
+                min={SETTING_RANGES.rate[0]}
+                max={SETTING_RANGES.rate[1]}
+                step="0.1"
+                value={settings.rate || 1}
+                onChange={e => update('rate', parseFloat(e.target.value))}
+              />
+            </label>
+          )}
+
+          {/* Pronunciation guides */}
           <label className="setting-row">
-            <span>Speed: {settings.rate?.toFixed(1) || '1.0'}x</span>
-            <input
-              type="range"
-              min="0.5"
-              max="2"
-              step="0.1"
-              value={settings.rate || 1}
-              onChange={e => update('rate', parseFloat(e.target.value))}
-            />
+            <span>Pronunciation guides</span>
+            <select
+              value={settings.pronunciation || 'guide'}
+              onChange={e => update('pronunciation', e.target.value)}
+            >
+              {PRONUNCIATION_MODES.map(m => (
+                <option key={m.value} value={m.value}>{m.label}</option>
+              ))}
+            </select>
           </label>
 
           {/* Timers */}
@@ -64,8 +131,8 @@ export default function Settings({ settings, onChange, voices }) {
               <span>Buzz: {settings.buzzTimer ? `${settings.buzzTimer}s` : 'Off'}</span>
               <input
                 type="range"
-                min="0"
-                max="15"
+                min={SETTING_RANGES.buzzTimer[0]}
+                max={SETTING_RANGES.buzzTimer[1]}
                 step="0.5"
                 value={settings.buzzTimer ?? 5}
                 onChange={e => update('buzzTimer', parseFloat(e.target.value))}
@@ -75,46 +142,181 @@ export default function Settings({ settings, onChange, voices }) {
               <span>Answer: {settings.answerTimer ? `${settings.answerTimer}s` : 'Off'}</span>
               <input
                 type="range"
-                min="0"
-                max="15"
+                min={SETTING_RANGES.answerTimer[0]}
+                max={SETTING_RANGES.answerTimer[1]}
                 step="0.5"
                 value={settings.answerTimer ?? 3}
                 onChange={e => update('answerTimer', parseFloat(e.target.value))}
               />
             </label>
+            {mode !== 'tossup' && (
+              <label className="setting-row">
+                <span>Conference: {settings.conferenceTime ? `${settings.conferenceTime}s` : 'Off'}</span>
+                <input
+                  type="range"
+                  min={SETTING_RANGES.conferenceTime[0]}
+                  max={SETTING_RANGES.conferenceTime[1]}
+                  step="1"
+                  value={settings.conferenceTime ?? 0}
+                  onChange={e => update('conferenceTime', parseFloat(e.target.value))}
+                />
+              </label>
+            )}
           </div>
 
-          {/* Categories */}
-          <div className="setting-section">
-            <span>Categories {settings.categories?.length ? `(${settings.categories.length})` : '(all)'}</span>
-            <div className="chip-list">
-              {CATEGORIES.map(cat => (
-                <button
-                  key={cat}
-                  className={`chip ${(settings.categories || []).includes(cat) ? 'active' : ''}`}
-                  onClick={() => toggleCategory(cat)}
-                >
-                  {cat}
-                </button>
+          {/* Answer judging */}
+          <label className="setting-row">
+            <span>Judge answers offline</span>
+            <input
+              type="checkbox"
+              checked={!!settings.offlineJudge}
+              onChange={e => update('offlineJudge', e.target.checked)}
+            />
+          </label>
+
+          {/* Offline cache */}
+          <OfflinePanel settings={settings} onChange={v => update('offlineMode', v)} />
+
+          {/* Scoring */}
+          <RulesetPicker ruleset={settings.ruleset} onChange={r => update('ruleset', r)} />
+
+          {/* Question selection */}
+          <label className="setting-row">
+            <span>Distribution</span>
+            <select
+              value={settings.distribution || ''}
+              onChange={e => update('distribution', e.target.value || null)}
+            >
+              <option value="">Random</option>
+              {DISTRIBUTIONS.map(d => (
+                <option key={d.id} value={d.id}>{d.name}</option>
               ))}
-            </div>
+            </select>
+          </label>
+
+          {/* Categories */}
+          {settings.distribution ? (
+            <p className="setting-hint">
+              Every 20 questions meet the distribution's category and subcategory quotas.
+            </p>
+          ) : (
+            <>
+              <label className="setting-row">
+                <span>Focus on weaknesses</span>
+                <input
+                  type="checkbox"
+                  checked={!!settings.focusWeak}
+                  onChange={e => update('focusWeak', e.target.checked)}
+                />
+              </label>
+              {settings.focusWeak && (
+                <p className="setting-hint">
+                  Categories you miss more often come up more often. Selected categories below limit the pool.
+                </p>
+              )}
+              <div className="setting-section">
+                <span>Categories {settings.categories?.length ? `(${settings.categories.length})` : '(all)'}</span>
+                <div className="chip-list">
+                  {CATEGORIES.map(cat => (
+                    <button
+                      key={cat}
+                      className={`chip ${(settings.categories || []).includes(cat) ? 'active' : ''}`}
+                      onClick={() => toggleCategory(cat)}
+                    >
+                      {cat}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {/* Subcategories of the selected categories */}
+              {(settings.categories || [])
+                .filter(cat => SUBCATEGORIES[cat] || ALTERNATE_SUBCATEGORIES[cat])
+                .map(cat => (
+                  <div key={cat} className="subcategory-group">
+                    <span>{cat}</span>
+                    {SUBCATEGORIES[cat] && (
+                      <div className="chip-list">
+                        {SUBCATEGORIES[cat].map(sub => (
+                          <button
+                            key={sub}
+                            className={`chip ${(settings.subcategories || []).includes(sub) ? 'active' : ''}`}
+                            onClick={() => toggleIn('subcategories', sub)}
+                          >
+                            {sub}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    {ALTERNATE_SUBCATEGORIES[cat] && (
+                      <div className="chip-list alternate">
+                        {ALTERNATE_SUBCATEGORIES[cat].map(alt => (
+                          <button
+                            key={alt}
+                            className={`chip ${(settings.alternateSubcategories || []).includes(alt) ? 'active' : ''}`}
+                            onClick={() => toggleIn('alternateSubcategories', alt)}
+                          >
+                            {alt}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                ))}
+            </>
+          )}
+
+          {/* Years */}
+          <div className="setting-row">
+            <span>Years</span>
+            <input
+              type="number"
+              className="year-input"
+              min="1990"
+              placeholder="Any"
+              value={settings.minYear ?? ''}
+              onChange={e => updateYear('minYear', e.target.value)}
+            />
+            <span>to</span>
+            <input
+              type="number"
+              className="year-input"
+              min="1990"
+              placeholder="Any"
+              value={settings.maxYear ?? ''}
+              onChange={e => updateYear('maxYear', e.target.value)}
+            />
           </div>
 
           {/* Difficulties */}
-          <div className="setting-section">
-            <span>Difficulties {settings.difficulties?.length ? `(${settings.difficulties.length})` : '(all)'}</span>
-            <div className="chip-list">
-              {DIFFICULTIES.map(d => (
-                <button
-                  key={d.value}
-                  className={`chip ${(settings.difficulties || []).includes(d.value) ? 'active' : ''}`}
-                  onClick={() => toggleDifficulty(d.value)}
-                >
-                  {d.label}
-                </button>
-              ))}
+          <label className="setting-row">
+            <span>Adaptive difficulty</span>
+            <input
+              type="checkbox"
+              checked={!!settings.adaptive}
+              onChange={e => update('adaptive', e.target.checked)}
+            />
+          </label>
+          {settings.adaptive ? (
+            <p className="setting-hint">
+              Difficulty steps up after a run of powers or 30s and down after negs, dead tossups and zeroed bonuses.
+            </p>
+          ) : (
+            <div className="setting-section">
+              <span>Difficulties {settings.difficulties?.length ? `(${settings.difficulties.length})` : '(all)'}</span>
+              <div className="chip-list">
+                {DIFFICULTIES.map(d => (
+                  <button
+                    key={d.value}
+                    className={`chip ${(settings.difficulties || []).includes(d.value) ? 'active' : ''}`}
+                    onClick={() => toggleDifficulty(d.value)}
+                  >
+                    {d.label}
+                  </button>
+                ))}
+              </div>
             </div>
-          </div>
+          )}
         </div>
       </details>
     </div>
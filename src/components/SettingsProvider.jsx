@@ -0,0 +1,51 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { SettingsContext } from '../hooks/useSettings'
+import {
+  loadSettings, saveSettings, loadPresets, savePresets,
+  createPreset, applyPreset as withPreset, exportPresets as serializePresets, parsePresets,
+} from '../utils/settings'
+
+/**
+ * Holds the practice settings and presets for the whole app, persisted to
+ * localStorage.
+ */
+export default function SettingsProvider({ children }) {
+  const [settings, setSettings] = useState(loadSettings)
+  const [presets, setPresets] = useState(loadPresets)
+
+  useEffect(() => {
+    saveSettings(settings)
+  }, [settings])
+
+  useEffect(() => {
+    savePresets(presets)
+  }, [presets])
+
+  const savePreset = useCallback((name) => {
+    setPresets(prev => [...prev, createPreset(name, settings)])
+  }, [settings])
+
+  const applyPreset = useCallback((id) => {
+    const preset = presets.find(p => p.id === id)
+    if (preset) setSettings(prev => withPreset(prev, preset))
+  }, [presets])
+
+  const deletePreset = useCallback((id) => {
+    setPresets(prev => prev.filter(p => p.id !== id))
+  }, [])
+
+  // Throws on invalid input; returns how many presets were added
+  const importPresets = useCallback((json) => {
+    const imported = parsePresets(json)
+    setPresets(prev => [...prev, ...imported])
+    return imported.length
+  }, [])
+
+  const exportPresets = useCallback(() => serializePresets(presets), [presets])
+
+  const value = useMemo(() => ({
+    settings, setSettings, presets, savePreset, applyPreset, deletePreset, importPresets, exportPresets,
+  }), [settings, presets, savePreset, applyPreset, deletePreset, importPresets, exportPresets])
+
+  return <SettingsContext.Provider value={value}>{children}</SettingsContext.Provider>
+}
@@ -0,0 +1,143 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { useLocation } from 'react-router-dom'
+import useSettings from './useSettings'
+import { getRandomTossup, getRandomBonus, CATEGORIES } from '../api/qbreader'
+import { createPrefetchQueue, createListSource } from '../api/prefetch'
+import { getResults } from '../api/history'
+import { loadAdaptiveState, saveAdaptiveState, recordAdaptiveOutcome } from '../utils/adaptive'
+import { buildQuestionFilters } from '../utils/filters'
+import { categoryWeights, pickWeightedCategory } from '../utils/weights'
+import { findDistribution, createRoundPlanner, slotFilters } from '../utils/distributions'
+
+const FETCHERS = { tossup: getRandomTossup, bonus: getRandomBonus }
+// Where another page hands over a list of questions in the location state
+const LIST_STATE_KEYS = { tossup: 'tossups', bonus: 'bonuses' }
+
+/**
+ * Choose the next question for a practice page, in order of precedence:
+ * - a given source, or questions handed over by another page (e.g. search results)
+ * - the selected category distribution, one round slot at a time
+ * - weak-category focus, drawing each question's category by weight
+ * - otherwise random questions from a prefetch buffer, rebuilt when the filters change
+ *
+ * Random questions are picked at the adaptive difficulty when it's on.
+ *
+ * @param {string} type - "tossup" or "bonus"
+ * @param {Object} [opts]
+ * @param {{next: () => Promise<Object|null>}} [opts.source] - Overrides every other way of picking
+ * @returns {{
+ *   next: () => Promise<Object|null>,
+ *   questionSource: Object|null,
+ *   listSource: Object|null,
+ *   adapting: boolean,
+ *   adaptive: Object,
+ *   recordOutcome: (outcome: string) => void,
+ *   distribution: Object|null,
+ *   roundSlot: {label: string, position: number, total: number}|null,
+ *   focusing: boolean,
+ *   weights: Object[],
+ *   refreshWeights: () => void,
+ * }} next() resolves null when there's nothing left to pick
+ */
+export default function useQuestionPicker(type, { source } = {}) {
+  const { settings } = useSettings()
+  const location = useLocation()
+  const [listSource] = useState(() => {
+    const list = location.state?.[LIST_STATE_KEYS[type]]
+    return list ? createListSource(list) : null
+  })
+  const questionSource = source ?? listSource
+  const [adaptive, setAdaptive] = useState(() => loadAdaptiveState(type))
+  // Only random questions are picked by difficulty, so only they adapt it
+  const adapting = settings.adaptive && !questionSource
+  const distribution = questionSource ? null : findDistribution(settings.distribution)
+  const [roundPlanner] = useState(() => createRoundPlanner())
+  const [roundSlot, setRoundSlot] = useState(null)
+  const [weights, setWeights] = useState([])
+  const focusing = settings.focusWeak && !questionSource && !distribution
+
+  // Recompute category weights from the practice history
+  const refreshWeights = useCallback(() => {
+    const categories = settings.categories?.length ? settings.categories : CATEGORIES
+    getResults({ type })
+      .then(records => setWeights(categoryWeights(records, type, categories)))
+      .catch(err => console.error('Failed to load category weights:', err))
+  }, [type, settings.categories])
+
+  useEffect(() => {
+    if (focusing) refreshWeights()
+  }, [focusing, refreshWeights])
+
+  const filters = useMemo(
+    () => buildQuestionFilters({
+      categories: settings.categories,
+      subcategories: settings.subcategories,
+      alternateSubcategories: settings.alternateSubcategories,
+      difficulties: adapting ? [adaptive.level] : settings.difficulties,
+      minYear: settings.minYear,
+      maxYear: settings.maxYear,
+      offlineMode: settings.offlineMode,
+    }),
+    [
+      settings.categories, settings.subcategories, settings.alternateSubcategories, settings.difficulties,
+      settings.minYear, settings.maxYear, settings.offlineMode, adapting, adaptive.level,
+    ]
+  )
+
+  useEffect(() => {
+    saveAdaptiveState(type, adaptive)
+  }, [type, adaptive])
+
+  // Adjust the adaptive difficulty after a question (see utils/adaptive)
+  const recordOutcome = useCallback((outcome) => {
+    if (adapting) setAdaptive(prev => recordAdaptiveOutcome(prev, outcome))
+  }, [adapting])
+
+  // Prefetch buffer for random questions
+  const [queue] = useState(() => createPrefetchQueue(FETCHERS[type]))
+
+  useEffect(() => {
+    if (!questionSource && !focusing && !distribution) queue.prefetch(filters)
+  }, [queue, filters, questionSource, focusing, distribution])
+
+  const next = useCallback(async () => {
+    const fetchRandom = FETCHERS[type]
+    if (questionSource) return questionSource.next()
+    if (distribution) {
+      // Deal the next slot of the round and draw a question to fill it. A slot
+      // that yields nothing goes back in the round rather than being used up.
+      const { slot, position, total } = roundPlanner.next(distribution)
+      setRoundSlot({ label: slot.label, position, total })
+      let questions
+      try {
+        questions = await fetchRandom(slotFilters(slot, filters))
+      } catch (err) {
+        roundPlanner.requeue()
+        throw err
+      }
+      if (!questions?.length) roundPlanner.requeue()
+      return questions?.[0] ?? null
+    }
+    if (focusing) {
+      // Each fetch draws its own weighted category, so the prefetch queue can't help
+      const category = pickWeightedCategory(weights)
+      const questions = await fetchRandom(category ? { ...filters, categories: [category] } : filters)
+      return questions?.[0] ?? null
+    }
+    return queue.next(filters)
+  }, [type, queue, filters, questionSource, distribution, roundPlanner, focusing, weights])
+
+  return {
+    next,
+    questionSource,
+    listSource,
+    adapting,
+    adaptive,
+    recordOutcome,
+    distribution,
+    roundSlot,
+    focusing,
+    weights,
+    refreshWeights,
+  }
+}
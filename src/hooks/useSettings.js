@@ -0,0 +1,24 @@
+import { createContext, useContext } from 'react'
+
+export const SettingsContext = createContext(null)
+
+/**
+ * Practice settings shared by every mode, plus named presets.
+ * Must be used inside SettingsProvider.
+ *
+ * @returns {{
+ *   settings: Object,
+ *   setSettings: Function,
+ *   presets: Object[],
+ *   savePreset: (name: string) => void,
+ *   applyPreset: (id: string) => void,
+ *   deletePreset: (id: string) => void,
+ *   importPresets: (json: string) => number,
+ *   exportPresets: () => string,
+ * }}
+ */
+export default function useSettings() {
+  const ctx = useContext(SettingsContext)
+  if (!ctx) throw new Error('useSettings must be used inside SettingsProvider')
+  return ctx
+}
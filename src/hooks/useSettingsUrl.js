@@ -0,0 +1,43 @@
+import { useEffect, useRef } from 'react'
+import { useSearchParams, useLocation } from 'react-router-dom'
+import useSettings from './useSettings'
+import { hasSettingsParams, settingsToParams, settingsFromParams } from '../utils/settings'
+
+/**
+ * Mirror the shared practice settings in the page's query string, so a
+ * practice link opens the same drill and a reload keeps it.
+ *
+ * Settings in the URL on arrival are applied once; after that, settings
+ * changes are written back to the URL.
+ *
+ * @param {Object} [opts]
+ * @param {boolean} [opts.enabled=true] - Set false for embedded pages
+ */
+export default function useSettingsUrl({ enabled = true } = {}) {
+  const { settings, setSettings } = useSettings()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const location = useLocation()
+  // Set while settings from the URL are being applied, so the write-back
+  // doesn't first put the old settings over the incoming query
+  const applyingRef = useRef(false)
+
+  useEffect(() => {
+    if (enabled && hasSettingsParams(searchParams)) {
+      applyingRef.current = true
+      setSettings(prev => settingsFromParams(searchParams, prev))
+    }
+  }, []) // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    if (!enabled) return
+    if (applyingRef.current) {
+      applyingRef.current = false
+      return
+    }
+    const next = settingsToParams(settings, searchParams)
+    if (next.toString() !== searchParams.toString()) {
+      // Keep any question list handed over in the history state
+      setSearchParams(next, { replace: true, state: location.state })
+    }
+  }, [settings]) // eslint-disable-line react-hooks/exhaustive-deps
+}
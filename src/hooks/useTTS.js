@@ -1,24 +1,52 @@
 import { useState, useEffect, useRef, useCallback } from 'react'
-import { buildChunks } from '../utils/tts'
+import { buildChunks, estimateWordTimings, wordAtElapsed, calibrateScale, streamPhraseLength } from '../utils/tts'
+import { createReaderEngine, createSpeechEngine, speechSupported, DEFAULT_WPM } from '../utils/readers'
+
+// Android chunks only break at punctuation — no max word limit,
+// so pauses only occur at natural sentence/clause boundaries.
+
+// Shift chunk indices built from a slice of words back to the full array
+const offsetChunks = (chunks, offset) => chunks.map(chunk => ({
+  ...chunk,
+  startIndex: chunk.startIndex + offset,
+  endIndex: chunk.endIndex + offset,
+}))
+
+// Streamed words left unphrased this long are spoken anyway
+const STREAM_IDLE_MS = 600
 
 /**
- * Custom hook for text-to-speech using the Web Speech API.
+ * Custom hook for reading questions aloud, word by word.
+ *
+ * Reading goes through a reader engine (utils/readers): the Web Speech API,
+ * or a silent timer that reveals words at a set words-per-minute. Two
+ * strategies depending on what the engine reports:
+ * - Word boundaries (desktop/iOS speech, silent reader): a single utterance,
+ *   with each boundary advancing wordIndex.
+ * - No boundaries (Android speech): phrase-level chunks (breaking at
+ *   punctuation) spoken in turn. Each chunk's onstart schedules word reveals
+ *   from estimated per-word timings, calibrated against how long earlier
+ *   chunks actually took. Gaps at phrase boundaries sound natural.
  *
- * Two strategies based on platform:
- * - Desktop/iOS: Single utterance + onboundary for word-by-word display.
- * - Android: Phrase-level chunks (~5 words, breaking at punctuation) queued
- *   upfront. Each chunk's onstart reveals its words. Gaps at phrase boundaries
- *   sound natural.
+ * Streaming mode (startStream/append/endStream) reads words as they arrive,
+ * e.g. from a multiplayer room: they're buffered into phrases and spoken
+ * one phrase at a time, with wordIndex tracked as above.
+ *
+ * Pause doesn't use speechSynthesis.pause(), which is a no-op or breaks
+ * playback on several Android and Chrome builds. It cancels reading and keeps
+ * the current word; resume reads again from that word.
  *
  * All wordIndex updates use Math.max to guarantee the index only moves forward,
  * preventing any flashing of words.
+ *
+ * @param {Object} [opts]
+ * @param {number} [opts.rate=1] - Speech rate
+ * @param {string} [opts.voiceURI] - Preferred voice
+ * @param {string} [opts.reader="speech"] - Reader engine: "speech" or "silent".
+ *   A change applies from the next speak or resume.
+ * @param {number} [opts.wpm] - Silent reader pace in words per minute
  */
-
-const IS_ANDROID = /android/i.test(navigator.userAgent)
-// Android chunks only break at punctuation — no max word limit,
-// so pauses only occur at natural sentence/clause boundaries.
-
-export default function useTTS({ rate = 1, voiceURI } = {}) {
+export default function useTTS({ rate = 1, voiceURI, reader = 'speech', wpm = DEFAULT_WPM } = {}) {
   const [speaking, setSpeaking] = useState(false)
   const [paused, setPaused] = useState(false)
   const [wordIndex, setWordIndex] = useState(-1)
@@ -27,158 +55,296 @@ export default function useTTS({ rate = 1, voiceURI } = {}) {
 
   const wordsRef = useRef([])
   const currentIndexRef = useRef(0)
-  const cancelledRef = useRef(false)
+  // Where reading resumes if no word is under way: the start of the phrase
+  // about to be read, e.g. when paused between chunks
+  const resumeIndexRef = useRef(0)
+  // Bumped whenever playback is cancelled (pause, stop, reset, a new speak).
+  // Utterances remember the session they belong to and ignore their events
+  // once it's stale, since cancelled utterances can still fire onend late.
+  const sessionRef = useRef(0)
+  // Whether speech is under way (including paused), and whether it's paused
+  const activeRef = useRef(false)
+  const pausedRef = useRef(false)
   const rateRef = useRef(rate)
   const voiceURIRef = useRef(voiceURI)
+  // The engine in use, created for the reader setting it was made for
+  const engineRef = useRef(null)
+  const readerRef = useRef(reader)
+  const wpmRef = useRef(wpm)
+  // Android: estimated timing of the chunk being spoken, pending word reveals,
+  // and the calibration factor learned from measured chunk durations
+  const chunkTimingRef = useRef(null)
+  const wordTimersRef = useRef([])
+  const timingScaleRef = useRef(1)
+  // Streaming: { queued, spoken, queue, playing, ended, idleTimer } — words
+  // before `queued` have been phrased into `queue` or spoken, words before
+  // `spoken` have finished playing
+  const streamRef = useRef(null)
 
   rateRef.current = rate
   voiceURIRef.current = voiceURI
 
+  useEffect(() => {
+    readerRef.current = reader
+    wpmRef.current = wpm
+  }, [reader, wpm])
+
+  // The engine for the current reader setting, replacing the old one if the
+  // setting changed
+  const getEngine = useCallback(() => {
+    if (engineRef.current?.reader !== readerRef.current) {
+      engineRef.current?.engine.cancel()
+      engineRef.current = { reader: readerRef.current, engine: createReaderEngine(readerRef.current) }
+    }
+    return engineRef.current.engine
+  }, [])
+
   // Helper: only advance wordIndex forward, never backward
   const advanceWordIndex = useCallback((newIndex) => {
     setWordIndex(prev => Math.max(prev, newIndex))
     currentIndexRef.current = Math.max(currentIndexRef.current, newIndex)
   }, [])
 
-  // Load available voices
+  const clearWordTimers = useCallback(() => {
+    wordTimersRef.current.forEach(clearTimeout)
+    wordTimersRef.current = []
+  }, [])
+
+  // Silence whatever is playing and invalidate its pending events
+  const cancelPlayback = useCallback(() => {
+    sessionRef.current++
+    engineRef.current?.engine.cancel()
+    clearWordTimers()
+    chunkTimingRef.current = null
+  }, [clearWordTimers])
+
+  const dropStream = useCallback(() => {
+    clearTimeout(streamRef.current?.idleTimer)
+    streamRef.current = null
+  }, [])
+
+  // Load available voices. Listed whichever reader is chosen, so a voice can
+  // be picked before switching back to speech.
   useEffect(() => {
+    if (!speechSupported()) return
+    const speech = createSpeechEngine()
     function loadVoices() {
-      const v = window.speechSynthesis.getVoices()
+      const v = speech.getVoices()
       if (v.length > 0) setVoices(v)
     }
     loadVoices()
-    window.speechSynthesis.addEventListener('voiceschanged', loadVoices)
-    return () => {
-      window.speechSynthesis.removeEventListener('voiceschanged', loadVoices)
-    }
+    return speech.onVoicesChanged(loadVoices)
   }, [])
 
-  const getVoice = useCallback(() => {
-    const v = window.speechSynthesis.getVoices()
-    if (voiceURIRef.current) {
-      const match = v.find(voice => voice.voiceURI === voiceURIRef.current)
-      if (match) return match
+  // Read text with the current engine; callbacks are dropped once the
+  // playback session they belong to is cancelled
+  const read = useCallback((text, { onStart, onBoundary, onEnd }) => {
+    const session = sessionRef.current
+    const live = (fn) => (...args) => {
+      if (sessionRef.current === session) fn?.(...args)
     }
-    return v.find(voice => voice.lang.startsWith('en')) || v[0] || null
-  }, [])
+    getEngine().speak(text, {
+      rate: rateRef.current,
+      voiceURI: voiceURIRef.current,
+      wpm: wpmRef.current,
+      onStart: live(onStart),
+      onBoundary: live(onBoundary),
+      onEnd: live(onEnd),
+      onError: live((error) => {
+        console.error('TTS error:', error)
+        setSpeaking(false)
+      }),
+    })
+  }, [getEngine])
+
+  const finish = useCallback((words) => {
+    activeRef.current = false
+    advanceWordIndex(words.length - 1)
+    setSpeaking(false)
+    setPaused(false)
+    setDone(true)
+  }, [advanceWordIndex])
 
   // ---------------------------------------------------------------
-  // Strategy 1: Desktop/iOS — single utterance + onboundary
+  // Strategy 1: engines with word boundaries — single utterance
+  // Speaks words[from..]; indices reported are into the full words array.
   // ---------------------------------------------------------------
-  const speakSingleUtterance = useCallback((words) => {
-    if (cancelledRef.current) return
-
-    const text = words.join(' ')
-    const utt = new SpeechSynthesisUtterance(text)
-    utt.rate = rateRef.current
-    const voice = getVoice()
-    if (voice) utt.voice = voice
-
-    // Build character-offset → word-index map for onboundary
+  const speakSingleUtterance = useCallback((words, from) => {
+    // Build character-offset → word-index map for onBoundary
     const charToWord = []
     let charPos = 0
-    for (let i = 0; i < words.length; i++) {
+    for (let i = from; i < words.length; i++) {
       charToWord.push({ start: charPos, wordIndex: i })
       charPos += words[i].length + 1
     }
 
-    utt.onstart = () => {
-      if (cancelledRef.current) return
-      advanceWordIndex(0)
-    }
-
-    utt.onboundary = (event) => {
-      if (cancelledRef.current) return
-      if (event.name === 'word') {
-        let wi = 0
+    read(words.slice(from).join(' '), {
+      onStart: () => advanceWordIndex(from),
+      onBoundary: (charIndex) => {
+        let wi = from
         for (let i = charToWord.length - 1; i >= 0; i--) {
-          if (event.charIndex >= charToWord[i].start) {
+          if (charIndex >= charToWord[i].start) {
             wi = charToWord[i].wordIndex
             break
           }
         }
         advanceWordIndex(wi)
-      }
-    }
-
-    utt.onend = () => {
-      if (cancelledRef.current) return
-      advanceWordIndex(words.length - 1)
-      setSpeaking(false)
-      setPaused(false)
-      setDone(true)
-    }
-
-    utt.onerror = (event) => {
-      if (event.error === 'canceled' || event.error === 'interrupted') return
-      console.error('TTS error:', event.error)
-      setSpeaking(false)
-    }
-
-    window.speechSynthesis.speak(utt)
-  }, [getVoice, advanceWordIndex])
+      },
+      onEnd: () => finish(words),
+    })
+  }, [read, advanceWordIndex, finish])
 
   // ---------------------------------------------------------------
-  // Strategy 2: Android — phrase-level chunks chained sequentially
-  // Each chunk speaks after the previous finishes, adding natural
-  // pauses at sentence/clause boundaries instead of rushing through.
+  // Strategy 2: no word boundaries (Android) — phrase-level chunks
+  // chained sequentially. Each chunk speaks after the previous finishes,
+  // adding natural pauses at sentence/clause boundaries instead of
+  // rushing through.
   // ---------------------------------------------------------------
 
-  const speakChunked = useCallback((words) => {
-    if (cancelledRef.current) return
+  // Reveal the current chunk's words that should have started by now and
+  // schedule the rest
+  const scheduleWordTimers = useCallback(() => {
+    const timing = chunkTimingRef.current
+    if (!timing) return
+    const elapsed = Date.now() - timing.startedAt
+    const current = wordAtElapsed(timing.offsets, elapsed)
+    advanceWordIndex(timing.startIndex + current)
+    for (let i = current + 1; i < timing.offsets.length; i++) {
+      const index = timing.startIndex + i
+      wordTimersRef.current.push(setTimeout(() => advanceWordIndex(index), timing.offsets[i] - elapsed))
+    }
+  }, [advanceWordIndex])
+
+  // Speak one phrase, words[chunk.startIndex..chunk.endIndex], as its own
+  // utterance and call onEnd when it finishes. Words are tracked with
+  // boundaries, or with estimated timings where the engine reports none.
+  const speakPhrase = useCallback((words, chunk, onEnd) => {
+    const phraseWords = words.slice(chunk.startIndex, chunk.endIndex + 1)
+    const estimate = !getEngine().boundaries
+
+    read(chunk.text, {
+      onStart: () => {
+        if (!estimate) {
+          advanceWordIndex(chunk.startIndex)
+          return
+        }
+        const scale = timingScaleRef.current
+        const { offsets, duration } = estimateWordTimings(phraseWords, { rate: rateRef.current, scale })
+        chunkTimingRef.current = {
+          startIndex: chunk.startIndex, offsets, duration, scale, startedAt: Date.now(),
+        }
+        scheduleWordTimers()
+      },
+      onBoundary: (charIndex) => {
+        let charPos = 0
+        let wi = chunk.startIndex
+        for (let i = 0; i < phraseWords.length && charPos <= charIndex; i++) {
+          wi = chunk.startIndex + i
+          charPos += phraseWords[i].length + 1
+        }
+        advanceWordIndex(wi)
+      },
+      onEnd: () => {
+        clearWordTimers()
+        const timing = chunkTimingRef.current
+        if (timing) {
+          timingScaleRef.current = calibrateScale(timing.scale, timing.duration, Date.now() - timing.startedAt)
+        }
+        chunkTimingRef.current = null
+        advanceWordIndex(chunk.endIndex)
+        onEnd()
+      },
+    })
+  }, [getEngine, read, advanceWordIndex, scheduleWordTimers, clearWordTimers])
 
-    const chunks = buildChunks(words)
-    const voice = getVoice()
+  const speakChunked = useCallback((words, from) => {
+    const session = sessionRef.current
+    const chunks = offsetChunks(buildChunks(words.slice(from)), from)
 
     const speakChunk = (c) => {
-      if (cancelledRef.current || c >= chunks.length) return
-
-      const chunk = chunks[c]
-      const utt = new SpeechSynthesisUtterance(chunk.text)
-      utt.rate = rateRef.current
-      if (voice) utt.voice = voice
-
-      utt.onstart = () => {
-        if (cancelledRef.current) return
-        // Reveal all words in this chunk when it starts speaking
-        advanceWordIndex(chunk.endIndex)
-      }
-
-      utt.onend = () => {
-        if (cancelledRef.current) return
+      if (sessionRef.current !== session || c >= chunks.length) return
+      speakPhrase(words, chunks[c], () => {
         if (c === chunks.length - 1) {
           // Last chunk finished
-          advanceWordIndex(words.length - 1)
-          setSpeaking(false)
-          setPaused(false)
-          setDone(true)
+          finish(words)
         } else {
+          resumeIndexRef.current = chunks[c + 1].startIndex
           // Chain next chunk after a brief pause for natural pacing
           setTimeout(() => speakChunk(c + 1), 150)
         }
-      }
-
-      utt.onerror = (event) => {
-        if (event.error === 'canceled' || event.error === 'interrupted') return
-        console.error('TTS error:', event.error)
-        setSpeaking(false)
-      }
-
-      window.speechSynthesis.speak(utt)
+      })
     }
 
     speakChunk(0)
-  }, [getVoice, advanceWordIndex])
+  }, [speakPhrase, finish])
+
+  // ---------------------------------------------------------------
+  // Streaming — words arrive over time (multiplayer) via append().
+  // They're buffered into phrases like buildChunks makes and queued;
+  // the queue plays one phrase after another with speakPhrase.
+  // ---------------------------------------------------------------
+
+  // Play the next queued phrase if nothing is playing; once the stream has
+  // ended and everything is spoken, finish
+  const pumpStream = useCallback(() => {
+    const pump = () => {
+      const stream = streamRef.current
+      if (!stream || stream.playing || pausedRef.current) return
+      const chunk = stream.queue.shift()
+      if (!chunk) {
+        if (stream.ended && stream.queued === wordsRef.current.length && activeRef.current) {
+          finish(wordsRef.current)
+        }
+        return
+      }
+      stream.playing = true
+      speakPhrase(wordsRef.current, chunk, () => {
+        stream.playing = false
+        stream.spoken = chunk.endIndex + 1
+        pump()
+      })
+    }
+    pump()
+  }, [speakPhrase, finish])
+
+  // Queue the next `count` buffered words as phrases
+  const queueStreamWords = useCallback((count) => {
+    const stream = streamRef.current
+    if (!stream || count <= 0) return
+    const from = stream.queued
+    stream.queue.push(...offsetChunks(buildChunks(wordsRef.current.slice(from, from + count)), from))
+    stream.queued += count
+    pumpStream()
+  }, [pumpStream])
+
+  const flushStream = useCallback(() => {
+    const stream = streamRef.current
+    if (!stream) return
+    clearTimeout(stream.idleTimer)
+    queueStreamWords(wordsRef.current.length - stream.queued)
+  }, [queueStreamWords])
+
+  // Start the engine's strategy at word `from`
+  const speakFrom = useCallback((words, from) => {
+    resumeIndexRef.current = from
+    if (getEngine().boundaries) {
+      speakSingleUtterance(words, from)
+    } else {
+      speakChunked(words, from)
+    }
+  }, [getEngine, speakSingleUtterance, speakChunked])
 
   // ---------------------------------------------------------------
   // Public API
   // ---------------------------------------------------------------
 
   const speak = useCallback((words) => {
-    window.speechSynthesis.cancel()
-    cancelledRef.current = false
+    cancelPlayback()
+    dropStream()
     wordsRef.current = words
     currentIndexRef.current = 0
+    activeRef.current = words.length > 0
+    pausedRef.current = false
     setWordIndex(-1)
     setDone(false)
     setSpeaking(true)
@@ -190,52 +356,110 @@ export default function useTTS({ rate = 1, voiceURI } = {}) {
       return
     }
 
-    if (IS_ANDROID) {
-      speakChunked(words)
-    } else {
-      speakSingleUtterance(words)
+    speakFrom(words, 0)
+  }, [cancelPlayback, dropStream, speakFrom])
+
+  // Begin a stream of words that will arrive through append()
+  const startStream = useCallback(() => {
+    cancelPlayback()
+    dropStream()
+    streamRef.current = { queued: 0, spoken: 0, queue: [], playing: false, ended: false, idleTimer: null }
+    wordsRef.current = []
+    currentIndexRef.current = 0
+    activeRef.current = true
+    pausedRef.current = false
+    setWordIndex(-1)
+    setDone(false)
+    setSpeaking(true)
+    setPaused(false)
+  }, [cancelPlayback, dropStream])
+
+  // Add words to the stream. Complete phrases are spoken right away; an
+  // unfinished one waits for more words, or for the stream to go quiet.
+  const append = useCallback((newWords) => {
+    const stream = streamRef.current
+    if (!stream || stream.ended || newWords.length === 0) return
+    wordsRef.current = [...wordsRef.current, ...newWords]
+    clearTimeout(stream.idleTimer)
+    queueStreamWords(streamPhraseLength(wordsRef.current.slice(stream.queued)))
+    if (stream.queued < wordsRef.current.length) {
+      stream.idleTimer = setTimeout(flushStream, STREAM_IDLE_MS)
     }
-  }, [speakSingleUtterance, speakChunked])
+  }, [queueStreamWords, flushStream])
+
+  // No more words are coming: speak what's buffered, then finish
+  const endStream = useCallback(() => {
+    const stream = streamRef.current
+    if (!stream || stream.ended) return
+    stream.ended = true
+    flushStream()
+    pumpStream()
+  }, [flushStream, pumpStream])
 
   const pause = useCallback(() => {
-    window.speechSynthesis.pause()
+    if (!activeRef.current || pausedRef.current) return
+    cancelPlayback()
+    pausedRef.current = true
     setPaused(true)
-  }, [])
+  }, [cancelPlayback])
 
+  // Speak again from the word that was being read when paused. That word is
+  // repeated, since it was most likely cut off partway; if paused between
+  // phrases, reading picks up at the next one.
   const resume = useCallback(() => {
-    window.speechSynthesis.resume()
+    if (!pausedRef.current) return
+    pausedRef.current = false
     setPaused(false)
-  }, [])
+    cancelPlayback()
+    const stream = streamRef.current
+    if (!stream) {
+      speakFrom(wordsRef.current, Math.max(currentIndexRef.current, resumeIndexRef.current))
+      return
+    }
+    // Re-queue the stream from the interrupted word, or from the next
+    // unspoken one if it was between phrases
+    const from = stream.playing ? Math.max(currentIndexRef.current, stream.spoken) : stream.spoken
+    stream.queue = offsetChunks(buildChunks(wordsRef.current.slice(from, stream.queued)), from)
+    stream.playing = false
+    pumpStream()
+  }, [cancelPlayback, speakFrom, pumpStream])
 
   const stop = useCallback(() => {
-    cancelledRef.current = true
-    window.speechSynthesis.cancel()
+    cancelPlayback()
+    dropStream()
+    activeRef.current = false
+    pausedRef.current = false
     const stoppedAt = currentIndexRef.current
     setSpeaking(false)
     setPaused(false)
     return stoppedAt
-  }, [])
+  }, [cancelPlayback, dropStream])
 
   const reset = useCallback(() => {
-    cancelledRef.current = true
-    window.speechSynthesis.cancel()
+    cancelPlayback()
+    dropStream()
+    activeRef.current = false
+    pausedRef.current = false
     wordsRef.current = []
     currentIndexRef.current = 0
     setSpeaking(false)
     setPaused(false)
     setWordIndex(-1)
     setDone(false)
-  }, [])
+  }, [cancelPlayback, dropStream])
 
   useEffect(() => {
     return () => {
-      cancelledRef.current = true
-      window.speechSynthesis.cancel()
+      cancelPlayback()
+      dropStream()
     }
-  }, [])
+  }, [cancelPlayback, dropStream])
 
   return {
     speak,
+    startStream,
+    append,
+    endStream,
     pause,
     resume,
     stop,
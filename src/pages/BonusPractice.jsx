@@ -1,9 +1,23 @@
 import { useState, useEffect, useCallback, useRef } from 'react'
-import { getRandomBonus, checkAnswer } from '../api/qbreader'
-import { calcBonusTotal, updateBonusScore } from '../utils/bonus'
+import { useLocation } from 'react-router-dom'
+import { checkAnswer } from '../api/qbreader'
+import { saveResult } from '../api/history'
+import { recordReview } from '../api/review'
+import { calcBonusTotal, updateBonusScore, calcBonusPartPoints } from '../utils/bonus'
+import { buildBonusRecord } from '../utils/history'
+import { answerlineFor } from '../utils/judge'
+import { bonusQuality } from '../utils/review'
+import { planReading } from '../utils/pronunciation'
+import { bonusOutcome } from '../utils/adaptive'
 import useTTS from '../hooks/useTTS'
+import useSettings from '../hooks/useSettings'
+import useSettingsUrl from '../hooks/useSettingsUrl'
+import useQuestionPicker from '../hooks/useQuestionPicker'
 import useSpeechRecognition from '../hooks/useSpeechRecognition'
 import Settings from '../components/Settings'
+import AdaptiveLevel from '../components/AdaptiveLevel'
+import CategoryWeights from '../components/CategoryWeights'
+import CopyLinkButton from '../components/CopyLinkButton'
 import '../components/Settings.css'
 import './Practice.css'
 
@@ -11,32 +25,57 @@ const PHASE = {
   IDLE: 'idle',
   READING_LEADIN: 'reading_leadin',
   READING_PART: 'reading_part',
+  CONFERENCE: 'conference',
   ANSWERING: 'answering',
   PART_RESULT: 'part_result',
   DONE: 'done',
 }
 
-export default function BonusPractice() {
-  const [settings, setSettings] = useState({
-    rate: 1,
-    voiceURI: undefined,
-    categories: [],
-    difficulties: [],
-  })
+/**
+ * Single-player bonus practice. Accepts the same embedding props as
+ * TossupPractice; onResult receives { points, parts, bonus } once all parts
+ * are read.
+ */
+export default function BonusPractice({
+  source,
+  onResult,
+  onNext,
+  autoStart = false,
+  embedded = false,
+  syncUrl = !embedded,
+}) {
+  const { settings, setSettings } = useSettings()
+  useSettingsUrl({ enabled: syncUrl })
+  const location = useLocation()
+  const {
+    next: pickQuestion, questionSource, listSource, adapting, adaptive, recordOutcome,
+    distribution, roundSlot, focusing, weights, refreshWeights,
+  } = useQuestionPicker('bonus', { source })
+
   const [bonus, setBonus] = useState(null)
   const [phase, setPhase] = useState(PHASE.IDLE)
   const [currentPart, setCurrentPart] = useState(0)
   const [partResults, setPartResults] = useState([])
+  const [partPrompts, setPartPrompts] = useState([])
   const [answer, setAnswer] = useState('')
   const [currentWords, setCurrentWords] = useState([])
+  // Spoken-word index for each displayed word (see utils/pronunciation)
+  const [currentMap, setCurrentMap] = useState([])
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
   const [totalScore, setTotalScore] = useState({ total: 0, bonuses: 0, thirties: 0 })
   const [voiceDisabled, setVoiceDisabled] = useState(false)
+  const [conferenceCountdown, setConferenceCountdown] = useState(null)
 
   const answerInputRef = useRef(null)
   const submittingRef = useRef(false)
-  const tts = useTTS({ rate: settings.rate, voiceURI: settings.voiceURI })
+  const conferenceTimerRef = useRef(null)
+  const tts = useTTS({
+    rate: settings.rate,
+    voiceURI: settings.voiceURI,
+    reader: settings.reader,
+    wpm: settings.readerWpm,
+  })
 
   // Submit answer for current part (extracted so voice and keyboard can both call)
   const doSubmit = useCallback(async (answerText) => {
@@ -44,14 +83,32 @@ export default function BonusPractice() {
     if (submittingRef.current) return
     submittingRef.current = true
 
-    const expectedAnswer = bonus.answers_sanitized?.[currentPart] || bonus.answers[currentPart]
+    const expectedAnswer = answerlineFor(bonus, currentPart)
     try {
-      const res = await checkAnswer(answerText.trim(), expectedAnswer)
-      const correct = res.directive === 'accept'
-      const points = correct ? 10 : 0
+      const res = await checkAnswer(answerText.trim(), expectedAnswer, { offline: settings.offlineJudge })
+
+      if (res.directive === 'prompt') {
+        // Keep answering this part; the effect below restarts voice input
+        setPartPrompts(prev => [...prev, {
+          userAnswer: answerText.trim(),
+          directedPrompt: res.directedPrompt || null,
+        }])
+        setAnswer('')
+        setVoiceDisabled(false)
+        setTimeout(() => answerInputRef.current?.focus(), 50)
+        return
+      }
 
-      const newResults = [...partResults, { correct, points, userAnswer: answerText.trim() }]
+      const points = calcBonusPartPoints(res.directive, settings.ruleset)
+      const newResults = [...partResults, {
+        correct: points > 0,
+        points,
+        directive: res.directive,
+        userAnswer: answerText.trim(),
+        prompts: partPrompts.map(p => p.userAnswer),
+      }]
       setPartResults(newResults)
+      setPartPrompts([])
       setAnswer('')
       setPhase(PHASE.PART_RESULT)
 
@@ -60,7 +117,14 @@ export default function BonusPractice() {
           readPart(bonus, currentPart + 1)
         } else {
           const bonusTotal = calcBonusTotal(newResults)
-          setTotalScore(prev => updateBonusScore(prev, bonusTotal))
+          setTotalScore(prev => updateBonusScore(prev, bonusTotal, bonus.parts.length * settings.ruleset.bonusPart))
+          saveResult(buildBonusRecord(bonus, newResults))
+            .then(() => { if (focusing) refreshWeights() })
+            .catch(err => console.error('Failed to save result:', err))
+          recordReview('bonus', bonus, bonusQuality(newResults))
+            .catch(err => console.error('Failed to update review deck:', err))
+          recordOutcome(bonusOutcome(newResults))
+          onResult?.({ points: bonusTotal, parts: newResults, bonus })
           setPhase(PHASE.DONE)
         }
       }, 1500)
@@ -69,7 +133,7 @@ export default function BonusPractice() {
     } finally {
       submittingRef.current = false
     }
-  }, [bonus, currentPart, partResults]) // eslint-disable-line react-hooks/exhaustive-deps
+  }, [bonus, currentPart, partResults, partPrompts, settings.ruleset, settings.offlineJudge, recordOutcome, focusing, refreshWeights, onResult]) // eslint-disable-line react-hooks/exhaustive-deps
 
   // Voice recognition callbacks
   const handleVoiceFinal = useCallback((transcript) => {
@@ -88,7 +152,7 @@ export default function BonusPractice() {
     onInterimResult: handleVoiceInterim,
   })
 
-  // Start voice recognition when answering phase begins
+  // Start voice recognition when answering phase begins, and again on each prompt
   useEffect(() => {
     if (phase === PHASE.ANSWERING && speech.supported && !voiceDisabled) {
       speech.start()
@@ -97,29 +161,68 @@ export default function BonusPractice() {
       speech.reset()
       setVoiceDisabled(false)
     }
+  }, [phase, partPrompts.length]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  const clearConferenceTimer = useCallback(() => {
+    if (conferenceTimerRef.current) {
+      clearInterval(conferenceTimerRef.current)
+      conferenceTimerRef.current = null
+    }
+    setConferenceCountdown(null)
+  }, [])
+
+  // Move from reading/conferring to answering a part
+  const startAnswering = useCallback(() => {
+    clearConferenceTimer()
+    setPhase(PHASE.ANSWERING)
+    setTimeout(() => answerInputRef.current?.focus(), 50)
+  }, [clearConferenceTimer])
+
+  // Conference timer: think time before answering, when enabled in settings
+  useEffect(() => {
+    if (phase !== PHASE.CONFERENCE) return
+    let remaining = Math.round(settings.conferenceTime * 10)
+    setConferenceCountdown(remaining)
+    conferenceTimerRef.current = setInterval(() => {
+      remaining--
+      if (remaining <= 0) {
+        startAnswering()
+      } else {
+        setConferenceCountdown(remaining)
+      }
+    }, 100)
+    return () => clearConferenceTimer()
   }, [phase]) // eslint-disable-line react-hooks/exhaustive-deps
 
-  // Start reading a part
-  const readPart = useCallback((b, partIndex) => {
-    const text = b.parts_sanitized?.[partIndex] || b.parts[partIndex]
+  // Show text word by word as it's read
+  const readText = useCallback((text) => {
     const words = text.split(/\s+/).filter(Boolean)
+    const reading = planReading(words, settings.pronunciation)
     setCurrentWords(words)
+    setCurrentMap(reading.spokenMap)
+    tts.speak(reading.spoken)
+  }, [tts, settings.pronunciation])
+
+  // Start reading a part
+  const readPart = useCallback((b, partIndex) => {
     setCurrentPart(partIndex)
+    setPartPrompts([])
     setPhase(PHASE.READING_PART)
-    tts.speak(words)
-  }, [tts])
+    readText(b.parts_sanitized?.[partIndex] || b.parts[partIndex])
+  }, [readText])
 
   // When TTS finishes reading a part, transition to answering
   useEffect(() => {
     if (tts.done && (phase === PHASE.READING_PART || phase === PHASE.READING_LEADIN)) {
       if (phase === PHASE.READING_LEADIN) {
         readPart(bonus, 0)
+      } else if (settings.conferenceTime > 0) {
+        setPhase(PHASE.CONFERENCE)
       } else {
-        setPhase(PHASE.ANSWERING)
-        setTimeout(() => answerInputRef.current?.focus(), 50)
+        startAnswering()
       }
     }
-  }, [tts.done, phase, bonus, readPart])
+  }, [tts.done, phase, bonus, readPart, startAnswering, settings.conferenceTime])
 
   // Fetch a new bonus
   const fetchBonus = useCallback(async () => {
@@ -127,37 +230,38 @@ export default function BonusPractice() {
     setError(null)
     tts.reset()
     speech.reset()
+    clearConferenceTimer()
     setPhase(PHASE.IDLE)
     setPartResults([])
+    setPartPrompts([])
     setAnswer('')
     setCurrentPart(0)
     setCurrentWords([])
     setVoiceDisabled(false)
 
     try {
-      const opts = {}
-      if (settings.categories.length > 0) opts.categories = settings.categories
-      if (settings.difficulties.length > 0) opts.difficulties = settings.difficulties
-      const bonuses = await getRandomBonus(opts)
-      if (!bonuses || bonuses.length === 0) {
-        setError('No bonuses found. Try different filters.')
+      const b = await pickQuestion()
+      if (!b) {
+        setError(questionSource ? 'No more bonuses.' : 'No bonuses found. Try different filters.')
         setLoading(false)
         return
       }
-      const b = bonuses[0]
       setBonus(b)
       setLoading(false)
 
-      const leadinText = b.leadin_sanitized || b.leadin
-      const words = leadinText.split(/\s+/).filter(Boolean)
-      setCurrentWords(words)
       setPhase(PHASE.READING_LEADIN)
-      tts.speak(words)
+      readText(b.leadin_sanitized || b.leadin)
     } catch (err) {
       setError('Failed to fetch bonus: ' + err.message)
       setLoading(false)
     }
-  }, [settings.categories, settings.difficulties, tts]) // eslint-disable-line react-hooks/exhaustive-deps
+  }, [pickQuestion, questionSource, readText]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  const handleNext = onNext ?? fetchBonus
+
+  useEffect(() => {
+    if (autoStart) fetchBonus()
+  }, []) // eslint-disable-line react-hooks/exhaustive-deps
 
   // Submit from keyboard
   const handleSubmit = useCallback(() => {
@@ -184,31 +288,51 @@ export default function BonusPractice() {
       if (e.code === 'Space' && (phase === PHASE.READING_PART || phase === PHASE.READING_LEADIN)) {
         e.preventDefault()
         tts.stop()
+      } else if (e.code === 'Space' && phase === PHASE.CONFERENCE) {
+        e.preventDefault()
+        startAnswering()
       } else if (e.code === 'KeyN' && phase === PHASE.DONE) {
         e.preventDefault()
-        fetchBonus()
+        handleNext()
       }
     }
     window.addEventListener('keydown', handler)
     return () => window.removeEventListener('keydown', handler)
-  }, [phase, tts, fetchBonus])
+  }, [phase, tts, handleNext, startAnswering])
 
   const bonusTotal = calcBonusTotal(partResults)
+  const bonusMax = (bonus?.parts.length ?? 3) * settings.ruleset.bonusPart
 
   return (
     <div className="practice-page">
-      <h1>Bonus Practice</h1>
-
-      <Settings settings={settings} onChange={setSettings} voices={tts.voices} />
+      {!embedded && (
+        <>
+          <h1>Bonus Practice</h1>
+          {listSource && (
+            <p className="practice-source">
+              {location.state.label || 'Selected questions'} ({location.state.bonuses.length})
+            </p>
+          )}
+
+          <Settings settings={settings} onChange={setSettings} voices={tts.voices} mode="bonus" />
+
+          <div className="scoreboard">
+            <span>Total: <strong>{totalScore.total}</strong></span>
+            <span>Bonuses: {totalScore.bonuses}</span>
+            <span>{bonusMax}s: {totalScore.thirties}</span>
+            {totalScore.bonuses > 0 && (
+              <span>PPB: {(totalScore.total / totalScore.bonuses).toFixed(1)}</span>
+            )}
+            {adapting && <AdaptiveLevel state={adaptive} />}
+            {distribution && roundSlot && (
+              <span title={roundSlot.label}>{distribution.name}: {roundSlot.position}/{roundSlot.total}</span>
+            )}
+            <span className="scoreboard-ruleset">{settings.ruleset.name}</span>
+          </div>
 
-      <div className="scoreboard">
-        <span>Total: <strong>{totalScore.total}</strong></span>
-        <span>Bonuses: {totalScore.bonuses}</span>
-        <span>30s: {totalScore.thirties}</span>
-        {totalScore.bonuses > 0 && (
-          <span>PPB: {(totalScore.total / totalScore.bonuses).toFixed(1)}</span>
-        )}
-      </div>
+          {focusing && <CategoryWeights weights={weights} />}
+        </>
+      )}
 
       {error && <div className="error-msg">{error}</div>}
 
@@ -225,8 +349,8 @@ export default function BonusPractice() {
           <div className="leadin-text">
             {phase === PHASE.READING_LEADIN
               ? currentWords.map((word, i) => (
-                  <span key={i} className={`word ${i === tts.wordIndex ? 'highlight' : ''}`}>
-                    {(tts.done || i <= tts.wordIndex) ? word + ' ' : ''}
+                  <span key={i} className={`word ${currentMap[i] === tts.wordIndex ? 'highlight' : ''}`}>
+                    {(tts.done || currentMap[i] <= tts.wordIndex) ? word + ' ' : ''}
                   </span>
                 ))
               : (bonus.leadin_sanitized || bonus.leadin)
@@ -236,13 +360,13 @@ export default function BonusPractice() {
           {/* Parts */}
           {bonus.parts.map((part, idx) => {
             const partText = bonus.parts_sanitized?.[idx] || part
-            const isActive = idx === currentPart && (phase === PHASE.READING_PART || phase === PHASE.ANSWERING || phase === PHASE.PART_RESULT)
+            const isActive = idx === currentPart && (phase === PHASE.READING_PART || phase === PHASE.CONFERENCE || phase === PHASE.ANSWERING || phase === PHASE.PART_RESULT)
             const isDone = idx < partResults.length
             const isFuture = idx > currentPart || (idx === currentPart && phase === PHASE.READING_LEADIN)
 
             return (
               <div key={idx} className={`bonus-part ${isActive ? 'active' : ''} ${isDone ? 'done' : ''}`}>
-                <div className="bonus-part-header">Part {idx + 1} (10 pts)</div>
+                <div className="bonus-part-header">Part {idx + 1} ({settings.ruleset.bonusPart} pts)</div>
 
                 {isFuture ? (
                   <div className="question-text" style={{ minHeight: 40, color: '#aaa' }}>...</div>
@@ -250,8 +374,8 @@ export default function BonusPractice() {
                   <div className="question-text">
                     {isActive && phase === PHASE.READING_PART
                       ? currentWords.map((word, i) => (
-                          <span key={i} className={`word ${i === tts.wordIndex ? 'highlight' : ''}`}>
-                            {(tts.done || i <= tts.wordIndex) ? word + ' ' : ''}
+                          <span key={i} className={`word ${currentMap[i] === tts.wordIndex ? 'highlight' : ''}`}>
+                            {(tts.done || currentMap[i] <= tts.wordIndex) ? word + ' ' : ''}
                           </span>
                         ))
                       : partText
@@ -263,6 +387,9 @@ export default function BonusPractice() {
                 {isDone && (
                   <div className={`bonus-part-result ${partResults[idx].correct ? 'correct' : 'incorrect'}`}>
                     {partResults[idx].correct ? 'Correct!' : 'Incorrect.'} Your answer: {partResults[idx].userAnswer}
+                    {partResults[idx].prompts?.length > 0 && (
+                      <> (prompted on: {partResults[idx].prompts.join(', ')})</>
+                    )}
                     <br />
                     <strong>Answer:</strong>{' '}
                     <span dangerouslySetInnerHTML={{ __html: bonus.answers[idx] }} />
@@ -281,6 +408,28 @@ export default function BonusPractice() {
           </button>
         )}
 
+        {phase === PHASE.CONFERENCE && (
+          <div className="buzz-area">
+            <span className="conference-label">Conference</span>
+            {conferenceCountdown !== null && (
+              <span className={`countdown ${conferenceCountdown <= 20 ? 'warning' : ''}`}>
+                {(conferenceCountdown / 10).toFixed(1)}
+              </span>
+            )}
+            <button className="btn primary" onClick={startAnswering}>
+              Answer now (Space)
+            </button>
+          </div>
+        )}
+
+        {phase === PHASE.ANSWERING && partPrompts.length > 0 && (
+          <div className="prompt-banner">
+            Prompt{partPrompts.length > 1 ? ` (${partPrompts.length})` : ''}:{' '}
+            {partPrompts[partPrompts.length - 1].directedPrompt || 'Can you be more specific?'}
+            <span className="prompt-previous">You said: {partPrompts[partPrompts.length - 1].userAnswer}</span>
+          </div>
+        )}
+
         {phase === PHASE.ANSWERING && (
           <div className="answer-area">
             <div className="answer-input-wrapper">
@@ -311,12 +460,15 @@ export default function BonusPractice() {
 
         {phase === PHASE.DONE && (
           <div className="result-area">
-            <div className={`bonus-score-summary ${bonusTotal === 30 ? 'correct' : bonusTotal === 0 ? 'incorrect' : ''}`}>
-              Bonus Score: {bonusTotal}/30
+            <div className={`bonus-score-summary ${bonusTotal === bonusMax ? 'correct' : bonusTotal === 0 ? 'incorrect' : ''}`}>
+              Bonus Score: {bonusTotal}/{bonusMax}
+            </div>
+            <div className="result-actions">
+              <button className="btn primary" onClick={handleNext}>
+                Next Bonus (N)
+              </button>
+              <CopyLinkButton type="bonus" id={bonus._id} />
             </div>
-            <button className="btn primary" onClick={fetchBonus}>
-              Next Bonus (N)
-            </button>
           </div>
         )}
       </div>
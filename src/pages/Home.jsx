@@ -14,10 +14,30 @@ export default function Home() {
           <h2>Bonus Practice</h2>
           <p>Practice bonuses with questions read aloud</p>
         </Link>
+        <Link to="/practice/packet" className="nav-card">
+          <h2>Packet Practice</h2>
+          <p>Play a full packet from a real set, tossups and bonuses in order</p>
+        </Link>
+        <Link to="/sets" className="nav-card">
+          <h2>Browse Sets</h2>
+          <p>Read through packets from any set and pick one to play</p>
+        </Link>
+        <Link to="/review" className="nav-card">
+          <h2>Review</h2>
+          <p>Spaced-repetition review of questions you missed</p>
+        </Link>
+        <Link to="/search" className="nav-card">
+          <h2>Search</h2>
+          <p>Find questions by text and drill the results</p>
+        </Link>
         <Link to="/multiplayer" className="nav-card">
           <h2>Multiplayer</h2>
           <p>Join existing qbreader rooms</p>
         </Link>
+        <Link to="/stats" className="nav-card">
+          <h2>Statistics</h2>
+          <p>Category breakdowns from your practice history</p>
+        </Link>
       </nav>
     </div>
   )
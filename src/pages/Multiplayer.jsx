@@ -1,7 +1,9 @@
-import { useState, useEffect, useCallback, useRef } from 'react'
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react'
 import MultiplayerClient from '../api/multiplayer'
 import useTTS from '../hooks/useTTS'
+import useSettings from '../hooks/useSettings'
 import useSpeechRecognition from '../hooks/useSpeechRecognition'
+import { stripPowerMarker, spokenIndexMap } from '../utils/tossup'
 import './Multiplayer.css'
 
 const VIEW = {
@@ -32,7 +34,9 @@ export default function Multiplayer() {
   const [bonusPart, setBonusPart] = useState(0)
   const [bonusLeadin, setBonusLeadin] = useState('')
   const [ttsEnabled, setTtsEnabled] = useState(true)
-  const [ttsRate, setTtsRate] = useState(1)
+  const { settings, setSettings } = useSettings()
+  const ttsRate = settings.rate ?? 1
+  const setTtsRate = (rate) => setSettings(prev => ({ ...prev, rate }))
 
   const clientRef = useRef(null)
   const answerInputRef = useRef(null)
@@ -41,7 +45,15 @@ export default function Multiplayer() {
   const [voiceDisabled, setVoiceDisabled] = useState(false)
   const submittingRef = useRef(false)
 
-  const tts = useTTS({ rate: ttsRate })
+  const tts = useTTS({
+    rate: ttsRate,
+    voiceURI: settings.voiceURI,
+    reader: settings.reader,
+    wpm: settings.readerWpm,
+  })
+  const { startStream, append, endStream, pause: pauseReading, resume: resumeReading, stop: stopReading, reset: resetReading } = tts
+  // Which spoken word each displayed word belongs to (power marks aren't read)
+  const spokenMap = useMemo(() => spokenIndexMap(questionWords), [questionWords])
 
   // Submit answer (extracted so voice and keyboard can both call it)
   const doSubmitAnswer = useCallback((answerText) => {
@@ -161,23 +173,26 @@ export default function Multiplayer() {
       setAnswerResult(null)
       setCanBuzz(true)
       setAnswer('')
+      if (ttsEnabled) startStream()
+      else resetReading()
     })
 
+    // The server sends an update without a word once it has read the whole
+    // question; ending the stream lets reading finish and report done
     client.on('update-question', (msg) => {
-      setQuestionWords(prev => {
-        const next = [...prev, msg.word]
-        // TTS: speak the new word
-        if (ttsEnabled && msg.word) {
-          const utt = new SpeechSynthesisUtterance(msg.word)
-          utt.rate = ttsRate
-          window.speechSynthesis.speak(utt)
-        }
-        return next
-      })
+      if (!msg.word) {
+        endStream()
+        return
+      }
+      setQuestionWords(prev => [...prev, msg.word])
+      if (ttsEnabled) append(stripPowerMarker([msg.word]))
     })
 
+    // Reading holds while a buzz is being answered, and picks up again if
+    // the answer is rejected
     client.on('buzz', (msg) => {
       setBuzzedPlayer(msg)
+      pauseReading()
       if (msg.userId === client.userId) {
         setCanBuzz(false)
         setTimeout(() => answerInputRef.current?.focus(), 50)
@@ -190,6 +205,7 @@ export default function Multiplayer() {
       if (msg.directive === 'reject') {
         // Others can still buzz
         if (msg.userId === client.userId) setCanBuzz(false)
+        resumeReading()
       }
       // Update player scores
       setPlayers(prev => prev.map(p =>
@@ -200,6 +216,7 @@ export default function Multiplayer() {
     client.on('reveal-tossup-answer', (msg) => {
       setCanBuzz(false)
       setBuzzedPlayer(null)
+      endStream()
       if (msg.answer) {
         setAnswerResult(prev => ({ ...prev, revealedAnswer: msg.answer }))
       }
@@ -208,6 +225,7 @@ export default function Multiplayer() {
     client.on('end-current-tossup', () => {
       setCanBuzz(false)
       setBuzzedPlayer(null)
+      stopReading()
     })
 
     // Bonus events
@@ -219,24 +237,26 @@ export default function Multiplayer() {
       setQuestionWords([])
       setAnswerResult(null)
       setAnswer('')
+      if (ttsEnabled) startStream()
+      else resetReading()
     })
 
+    // The leadin and parts arrive whole; a trailing period makes sure each
+    // is read as its own phrase
+    const appendText = (text) => {
+      const words = text.split(/\s+/).filter(Boolean)
+      if (words.length && !/[.?!;,:]$/.test(words[words.length - 1])) words[words.length - 1] += '.'
+      append(words)
+    }
+
     client.on('reveal-leadin', (msg) => {
       setBonusLeadin(msg.leadin)
-      if (ttsEnabled && msg.leadin) {
-        const utt = new SpeechSynthesisUtterance(msg.leadin)
-        utt.rate = ttsRate
-        window.speechSynthesis.speak(utt)
-      }
+      if (ttsEnabled && msg.leadin) appendText(msg.leadin)
     })
 
     client.on('reveal-next-part', (msg) => {
       setBonusPart(msg.currentPartNumber)
-      if (ttsEnabled && msg.part) {
-        const utt = new SpeechSynthesisUtterance(msg.part)
-        utt.rate = ttsRate
-        window.speechSynthesis.speak(utt)
-      }
+      if (ttsEnabled && msg.part) appendText(msg.part)
     })
 
     client.on('give-bonus-answer', (msg) => {
@@ -245,6 +265,7 @@ export default function Multiplayer() {
 
     client.on('end-current-bonus', () => {
       setAnswerResult(null)
+      endStream()
     })
 
     // Chat
@@ -259,9 +280,9 @@ export default function Multiplayer() {
     // Pause
     client.on('pause', (msg) => {
       if (msg.paused) {
-        window.speechSynthesis.pause()
+        pauseReading()
       } else {
-        window.speechSynthesis.resume()
+        resumeReading()
       }
     })
 
@@ -276,11 +297,11 @@ export default function Multiplayer() {
     })
 
     client.connect(roomName, username.trim())
-  }, [username, ttsEnabled, ttsRate])
+  }, [username, ttsEnabled, startStream, append, endStream, pauseReading, resumeReading, stopReading, resetReading])
 
   // Disconnect
   const leaveRoom = useCallback(() => {
-    window.speechSynthesis.cancel()
+    resetReading()
     clientRef.current?.disconnect()
     clientRef.current = null
     setConnected(false)
@@ -290,7 +311,7 @@ export default function Multiplayer() {
     setPlayers([])
     setCurrentQuestion(null)
     setRoomState(null)
-  }, [])
+  }, [resetReading])
 
   // Buzz
   // Buzz — start speech recognition directly here (user gesture context for Android)
@@ -349,10 +370,9 @@ export default function Multiplayer() {
     return () => window.removeEventListener('keydown', handler)
   }, [view, canBuzz, handleBuzz, buzzedPlayer, handleNext])
 
-  // Cleanup on unmount
+  // Cleanup on unmount (useTTS silences itself)
   useEffect(() => {
     return () => {
-      window.speechSynthesis.cancel()
       clientRef.current?.disconnect()
     }
   }, [])
@@ -435,7 +455,10 @@ export default function Multiplayer() {
             <input
               type="checkbox"
               checked={ttsEnabled}
-              onChange={e => setTtsEnabled(e.target.checked)}
+              onChange={e => {
+                setTtsEnabled(e.target.checked)
+                if (!e.target.checked) resetReading()
+              }}
             />
             TTS
           </label>
@@ -472,9 +495,14 @@ export default function Multiplayer() {
             )}
 
             <div className="mp-question-text">
-              {questionWords.map((word, i) => (
-                <span key={i} className="word">{word} </span>
-              ))}
+              {questionWords.map((word, i) => {
+                const classes = ['word']
+                if (questionType === 'tossup' && tts.speaking && spokenMap[i] === tts.wordIndex &&
+                  stripPowerMarker([word]).length > 0) {
+                  classes.push('highlight')
+                }
+                return <span key={i} className={classes.join(' ')}>{word} </span>
+              })}
               {questionWords.length > 0 && canBuzz && <span className="cursor-blink">|</span>}
             </div>
           </div>
@@ -0,0 +1,221 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { useLocation } from 'react-router-dom'
+import { getSetList, getNumPackets, getPacket } from '../api/qbreader'
+import {
+  createPacketProgress, recordPacketTossup, recordPacketBonus, advancePacket,
+  currentPacketQuestion, loadPacketProgress, savePacketProgress,
+} from '../utils/packet'
+import useTTS from '../hooks/useTTS'
+import useSettings from '../hooks/useSettings'
+import Settings from '../components/Settings'
+import TossupPractice from './TossupPractice'
+import BonusPractice from './BonusPractice'
+import '../components/Settings.css'
+import './Practice.css'
+
+export default function PacketPractice() {
+  const location = useLocation()
+  const { settings, setSettings } = useSettings()
+  const [setList, setSetList] = useState([])
+  const [setName, setSetName] = useState('')
+  const [numPackets, setNumPackets] = useState(null)
+  const [packetNumber, setPacketNumber] = useState(1)
+  const [packet, setPacket] = useState(null)
+  const [progress, setProgress] = useState(null)
+  const [saved, setSaved] = useState(loadPacketProgress)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  // Only used for the voice list in Settings; the embedded pages do the reading
+  const { voices } = useTTS()
+
+  useEffect(() => {
+    getSetList()
+      .then(setSetList)
+      .catch(err => setError('Failed to load sets: ' + err.message))
+  }, [])
+
+  // Persist progress so a half-played packet can be resumed
+  useEffect(() => {
+    if (progress) savePacketProgress(progress)
+  }, [progress])
+
+  const handleSetChange = useCallback((name) => {
+    setSetName(name)
+    setNumPackets(null)
+    setPacketNumber(1)
+    if (!setList.includes(name)) return
+    getNumPackets(name)
+      .then(setNumPackets)
+      .catch(err => setError('Failed to load packets: ' + err.message))
+  }, [setList])
+
+  // Load a packet and begin (or continue) playing it from the given progress
+  const startPacket = useCallback(async (start) => {
+    setLoading(true)
+    setError(null)
+    try {
+      const p = await getPacket(start.setName, start.packetNumber)
+      if (!p?.tossups?.length) {
+        setError('That packet has no tossups.')
+        return
+      }
+      setPacket(p)
+      setProgress(start.answered ? advancePacket(start, p) : start)
+      setSaved(null)
+    } catch (err) {
+      setError('Failed to load packet: ' + err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  // Opened from the packet browser with a packet already chosen
+  useEffect(() => {
+    const chosen = location.state
+    if (chosen?.setName && chosen.packetNumber) {
+      startPacket(createPacketProgress(chosen.setName, chosen.packetNumber))
+    }
+  }, []) // eslint-disable-line react-hooks/exhaustive-deps
+
+  const quitPacket = useCallback(() => {
+    setSaved(progress?.stage === 'done' ? null : progress)
+    setProgress(null)
+    setPacket(null)
+  }, [progress])
+
+  const handleTossupResult = useCallback((res) => {
+    setProgress(p => recordPacketTossup(p, res.points))
+  }, [])
+
+  const handleBonusResult = useCallback((res) => {
+    setProgress(p => recordPacketBonus(p, res.points))
+  }, [])
+
+  const handleNext = useCallback(() => {
+    setProgress(p => advancePacket(p, packet))
+  }, [packet])
+
+  // Feed the embedded practice page exactly one question: the current one
+  const index = progress?.index
+  const stage = progress?.stage
+  const source = useMemo(() => {
+    if (!packet || stage === undefined) return null
+    const question = currentPacketQuestion({ index, stage }, packet)
+    return { next: async () => question }
+  }, [packet, index, stage])
+
+  if (!progress) {
+    return (
+      <div className="practice-page">
+        <h1>Packet Practice</h1>
+
+        {error && <div className="error-msg">{error}</div>}
+
+        {saved && (
+          <div className="packet-resume">
+            <span>
+              In progress: {saved.setName}, packet {saved.packetNumber}{' '}
+              ({saved.stage === 'bonus' ? 'bonus' : 'tossup'} {saved.index + 1})
+            </span>
+            <button className="btn primary" onClick={() => startPacket(saved)} disabled={loading}>
+              Resume
+            </button>
+          </div>
+        )}
+
+        <div className="packet-chooser">
+          <label className="setting-row">
+            <span>Set</span>
+            <input
+              list="packet-set-list"
+              value={setName}
+              onChange={e => handleSetChange(e.target.value)}
+              placeholder="Search sets..."
+            />
+            <datalist id="packet-set-list">
+              {setList.map(name => <option key={name} value={name} />)}
+            </datalist>
+          </label>
+          <label className="setting-row">
+            <span>Packet</span>
+            <select
+              value={packetNumber}
+              onChange={e => setPacketNumber(parseInt(e.target.value, 10))}
+              disabled={!numPackets}
+            >
+              {Array.from({ length: numPackets || 0 }, (_, i) => (
+                <option key={i + 1} value={i + 1}>{i + 1}</option>
+              ))}
+            </select>
+          </label>
+          <button
+            className="btn primary"
+            onClick={() => startPacket(createPacketProgress(setName, packetNumber))}
+            disabled={!numPackets || loading}
+          >
+            {loading ? 'Loading...' : 'Start'}
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  const total = progress.tossupPoints + progress.bonusPoints
+  const ppb = progress.bonusesHeard ? (progress.bonusPoints / progress.bonusesHeard).toFixed(2) : '—'
+
+  return (
+    <div className="practice-page">
+      <h1>{progress.setName} — Packet {progress.packetNumber}</h1>
+
+      <Settings settings={settings} onChange={setSettings} voices={voices} />
+
+      <div className="scoreboard">
+        <span>Total: <strong>{total}</strong></span>
+        <span>TUH: {progress.tossupsHeard}</span>
+        <span>Tossup pts: {progress.tossupPoints}</span>
+        <span>PPB: {ppb}</span>
+        <span className="scoreboard-ruleset">{settings.ruleset.name}</span>
+      </div>
+
+      {error && <div className="error-msg">{error}</div>}
+
+      {progress.stage === 'done' ? (
+        <div className="result-area">
+          <div className="bonus-score-summary">
+            Packet complete: {total} points ({progress.tossupPoints} on {progress.tossupsHeard} tossups,{' '}
+            {progress.bonusPoints} on {progress.bonusesHeard} bonuses)
+          </div>
+          <button className="btn primary" onClick={quitPacket}>
+            Choose another packet
+          </button>
+        </div>
+      ) : (
+        <>
+          <div className="packet-position">
+            {progress.stage === 'tossup' ? 'Tossup' : 'Bonus'} {progress.index + 1} of {packet.tossups.length}
+            <button className="btn" onClick={quitPacket}>Quit packet</button>
+          </div>
+          {progress.stage === 'tossup' ? (
+            <TossupPractice
+              key={`tossup-${progress.index}`}
+              source={source}
+              onResult={handleTossupResult}
+              onNext={handleNext}
+              autoStart
+              embedded
+            />
+          ) : (
+            <BonusPractice
+              key={`bonus-${progress.index}`}
+              source={source}
+              onResult={handleBonusResult}
+              onNext={handleNext}
+              autoStart
+              embedded
+            />
+          )}
+        </>
+      )}
+    </div>
+  )
+}
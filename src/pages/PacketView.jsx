@@ -0,0 +1,116 @@
+import { useState, useEffect } from 'react'
+import { Link, useParams, useNavigate } from 'react-router-dom'
+import { getPacket, getNumPackets } from '../api/qbreader'
+import { splitAtPowerMarks } from '../utils/tossup'
+import './Practice.css'
+import './SetBrowser.css'
+
+function TossupText({ text }) {
+  return splitAtPowerMarks(text).map((seg, i) => {
+    if (seg.tier === 'marker') return <span key={i} className="packet-marker">{seg.text}</span>
+    if (seg.tier) return <strong key={i} className={`packet-${seg.tier}`}>{seg.text}</strong>
+    return <span key={i}>{seg.text}</span>
+  })
+}
+
+function Meta({ question }) {
+  return (
+    <span className="packet-meta">
+      {question.category}{question.subcategory && question.subcategory !== question.category ? ` / ${question.subcategory}` : ''}
+    </span>
+  )
+}
+
+function Packet({ setName, packetNumber }) {
+  const navigate = useNavigate()
+  const [packet, setPacket] = useState(null)
+  const [numPackets, setNumPackets] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    getPacket(setName, packetNumber)
+      .then(setPacket)
+      .catch(err => setError('Failed to load packet: ' + err.message))
+    getNumPackets(setName)
+      .then(setNumPackets)
+      .catch(err => console.warn('Failed to load packet count:', err.message))
+  }, [setName, packetNumber])
+
+  const setPath = `/sets/${encodeURIComponent(setName)}`
+
+  return (
+    <div className="practice-page packet-view">
+      <Link to={setPath} className="set-browser-back">← {setName}</Link>
+      <div className="packet-view-header">
+        <h1>Packet {packetNumber}</h1>
+        <div className="packet-view-nav">
+          {packetNumber > 1 && (
+            <Link className="btn" to={`${setPath}/${packetNumber - 1}`}>Prev</Link>
+          )}
+          {numPackets !== null && packetNumber < numPackets && (
+            <Link className="btn" to={`${setPath}/${packetNumber + 1}`}>Next</Link>
+          )}
+          <button
+            className="btn primary"
+            onClick={() => navigate('/practice/packet', { state: { setName, packetNumber } })}
+            disabled={!packet}
+          >
+            Play this packet
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="error-msg">{error}</div>}
+      {!packet && !error && <p>Loading...</p>}
+
+      {packet && (
+        <>
+          <h2>Tossups</h2>
+          <ol className="packet-questions">
+            {packet.tossups.map(t => (
+              <li key={t._id}>
+                <Meta question={t} />
+                <p><TossupText text={t.question_sanitized || t.question} /></p>
+                <p>
+                  <strong>ANSWER:</strong> <span dangerouslySetInnerHTML={{ __html: t.answer }} />
+                </p>
+              </li>
+            ))}
+          </ol>
+
+          {packet.bonuses?.length > 0 && (
+            <>
+              <h2>Bonuses</h2>
+              <ol className="packet-questions">
+                {packet.bonuses.map(b => (
+                  <li key={b._id}>
+                    <Meta question={b} />
+                    <p>{b.leadin_sanitized || b.leadin}</p>
+                    {b.parts.map((part, idx) => (
+                      <div key={idx} className="packet-bonus-part">
+                        <p>[{b.values?.[idx] ?? 10}] {b.parts_sanitized?.[idx] || part}</p>
+                        <p>
+                          <strong>ANSWER:</strong> <span dangerouslySetInnerHTML={{ __html: b.answers[idx] }} />
+                        </p>
+                      </div>
+                    ))}
+                  </li>
+                ))}
+              </ol>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Readable view of a whole packet at /sets/:setName/:packetNumber, with
+ * power marks, bonus parts and answerlines.
+ */
+export default function PacketView() {
+  const { setName, packetNumber } = useParams()
+  const number = parseInt(packetNumber, 10)
+  return <Packet key={`${setName}/${number}`} setName={setName} packetNumber={number} />
+}
@@ -0,0 +1,41 @@
+import { useState, useCallback } from 'react'
+import { useParams, useNavigate, Navigate } from 'react-router-dom'
+import { getTossupById, getBonusById } from '../api/qbreader'
+import TossupPractice from './TossupPractice'
+import BonusPractice from './BonusPractice'
+
+const PAGES = {
+  tossup: { Page: TossupPractice, fetch: getTossupById },
+  bonus: { Page: BonusPractice, fetch: getBonusById },
+}
+
+function LinkedQuestion({ type, id }) {
+  const navigate = useNavigate()
+  const { Page, fetch } = PAGES[type]
+  // Serve the linked question once; "Next" moves on to random practice
+  const [source] = useState(() => {
+    let served = false
+    return {
+      next: async () => {
+        if (served) return null
+        served = true
+        return fetch(id)
+      },
+    }
+  })
+  const handleNext = useCallback(() => navigate(`/practice/${type}`), [navigate, type])
+
+  // The link names a question, so it's read straight away, and the URL is
+  // left as shared rather than rewritten with this reader's settings
+  return <Page source={source} onNext={handleNext} autoStart syncUrl={false} />
+}
+
+/**
+ * Deep link to one question at /question/tossup/:id or /question/bonus/:id,
+ * played in the regular practice reader.
+ */
+export default function QuestionLink() {
+  const { type, id } = useParams()
+  if (!PAGES[type]) return <Navigate to="/" replace />
+  return <LinkedQuestion key={`${type}/${id}`} type={type} id={id} />
+}
@@ -0,0 +1,116 @@
+import { useState, useEffect, useMemo } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { getReviewCards, removeReviewCard } from '../api/review'
+import { dueCards } from '../utils/review'
+import '../components/Settings.css'
+import './Practice.css'
+import './Stats.css'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function formatDue(due, now) {
+  const days = Math.ceil((due - now) / DAY_MS)
+  if (days <= 0) return 'now'
+  return days === 1 ? 'tomorrow' : `in ${days} days`
+}
+
+// Short label for a card: the answerline with markup stripped
+function cardLabel(card) {
+  const q = card.question
+  const answer = card.type === 'tossup'
+    ? q.answer_sanitized || q.answer
+    : (q.answers_sanitized || q.answers || []).join(' / ')
+  return (answer || '').replace(/<[^>]*>/g, '')
+}
+
+export default function Review() {
+  const navigate = useNavigate()
+  const [cards, setCards] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [now] = useState(() => Date.now())
+
+  useEffect(() => {
+    getReviewCards()
+      .then(setCards)
+      .catch(err => setError('Failed to load review deck: ' + err.message))
+      .finally(() => setLoading(false))
+  }, [])
+
+  const due = useMemo(() => dueCards(cards, now), [cards, now])
+  const dueTossups = due.filter(c => c.type === 'tossup')
+  const dueBonuses = due.filter(c => c.type === 'bonus')
+
+  const startReview = (type) => {
+    const questions = (type === 'tossup' ? dueTossups : dueBonuses).map(c => c.question)
+    const key = type === 'tossup' ? 'tossups' : 'bonuses'
+    navigate(`/practice/${type}`, { state: { [key]: questions, label: 'Review deck' } })
+  }
+
+  const handleRemove = (id) => {
+    removeReviewCard(id)
+      .then(() => setCards(prev => prev.filter(c => c.id !== id)))
+      .catch(err => setError('Failed to remove card: ' + err.message))
+  }
+
+  return (
+    <div className="practice-page review-page">
+      <h1>Review</h1>
+      <p className="setting-hint">
+        Negged and dead tossups and missed bonuses land here, and come back on a spaced-repetition schedule.
+      </p>
+
+      {error && <div className="error-msg">{error}</div>}
+      {loading && <p>Loading...</p>}
+
+      {!loading && (
+        <div className="review-actions">
+          <button className="btn primary" onClick={() => startReview('tossup')} disabled={dueTossups.length === 0}>
+            Review {dueTossups.length} due tossup{dueTossups.length === 1 ? '' : 's'}
+          </button>
+          <button className="btn primary" onClick={() => startReview('bonus')} disabled={dueBonuses.length === 0}>
+            Review {dueBonuses.length} due bonus{dueBonuses.length === 1 ? '' : 'es'}
+          </button>
+        </div>
+      )}
+
+      {!loading && !error && cards.length === 0 && (
+        <p className="stats-empty">Your review deck is empty.</p>
+      )}
+
+      {cards.length > 0 && (
+        <div className="stats-section">
+          <h2>Deck ({cards.length})</h2>
+          <div className="stats-table-wrapper">
+            <table className="stats-table">
+              <thead>
+                <tr>
+                  <th>Answer</th>
+                  <th>Type</th>
+                  <th>Category</th>
+                  <th>Due</th>
+                  <th>Lapses</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {cards.map(card => (
+                  <tr key={card.id}>
+                    <td>{cardLabel(card)}</td>
+                    <td>{card.type}</td>
+                    <td>{card.category || ''}</td>
+                    <td>{formatDue(card.due, now)}</td>
+                    <td>{card.lapses}</td>
+                    <td>
+                      <button className="btn" onClick={() => handleRemove(card.id)}>Remove</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,244 @@
+import { useState, useCallback, useMemo } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { queryQuestions, CATEGORIES, DIFFICULTIES } from '../api/qbreader'
+import { escapeHtml, searchTerms, highlightHtml } from '../utils/search'
+import '../components/Settings.css'
+import './Practice.css'
+import './Search.css'
+
+const PAGE_SIZE = 10
+// Most questions loaded by "Practice these results"
+const PRACTICE_LIMIT = 100
+
+const QUESTION_TYPES = [
+  { value: 'all', label: 'All' },
+  { value: 'tossup', label: 'Tossups' },
+  { value: 'bonus', label: 'Bonuses' },
+]
+
+function Highlighted({ html, terms, className }) {
+  return <span className={className} dangerouslySetInnerHTML={{ __html: highlightHtml(html, terms) }} />
+}
+
+function QuestionMeta({ question }) {
+  return (
+    <div className="question-meta">
+      <span className="meta-tag">{question.category}</span>
+      {question.subcategory && <span className="meta-tag">{question.subcategory}</span>}
+      <span className="meta-tag">Diff: {question.difficulty}</span>
+      {question.set && <span className="meta-tag">{question.set.name}</span>}
+    </div>
+  )
+}
+
+function Pagination({ page, count, onChange }) {
+  const pages = Math.ceil(count / PAGE_SIZE)
+  if (pages <= 1) return null
+  return (
+    <div className="search-pagination">
+      <button className="btn" onClick={() => onChange(page - 1)} disabled={page <= 1}>Prev</button>
+      <span>Page {page} of {pages}</span>
+      <button className="btn" onClick={() => onChange(page + 1)} disabled={page >= pages}>Next</button>
+    </div>
+  )
+}
+
+export default function Search() {
+  const navigate = useNavigate()
+  const [queryString, setQueryString] = useState('')
+  const [questionType, setQuestionType] = useState('all')
+  const [categories, setCategories] = useState([])
+  const [difficulties, setDifficulties] = useState([])
+  // The search currently shown; paging re-runs it with a different page
+  const [search, setSearch] = useState(null)
+  const [results, setResults] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const terms = useMemo(() => searchTerms(search?.queryString), [search])
+
+  const runSearch = useCallback(async (next) => {
+    setSearch(next)
+    setLoading(true)
+    setError(null)
+    try {
+      setResults(await queryQuestions({ ...next, maxReturnLength: PAGE_SIZE }))
+    } catch (err) {
+      setError('Search failed: ' + err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!queryString.trim()) return
+    runSearch({
+      queryString: queryString.trim(),
+      questionType,
+      categories,
+      difficulties,
+      tossupPagination: 1,
+      bonusPagination: 1,
+    })
+  }
+
+  // Load every matching question of one type and hand them to the practice page
+  const practiceResults = async (type) => {
+    setLoading(true)
+    setError(null)
+    try {
+      const data = await queryQuestions({
+        ...search,
+        questionType: type,
+        maxReturnLength: PRACTICE_LIMIT,
+        tossupPagination: 1,
+        bonusPagination: 1,
+      })
+      const label = `Search: "${search.queryString}"`
+      if (type === 'tossup') {
+        navigate('/practice/tossup', { state: { tossups: data.tossups.questionArray, label } })
+      } else {
+        navigate('/practice/bonus', { state: { bonuses: data.bonuses.questionArray, label } })
+      }
+    } catch (err) {
+      setError('Failed to load results: ' + err.message)
+      setLoading(false)
+    }
+  }
+
+  const toggle = (setter, value) => {
+    setter(prev => prev.includes(value)
+      ? prev.filter(v => v !== value)
+      : [...prev, value])
+  }
+
+  const tossups = results?.tossups
+  const bonuses = results?.bonuses
+
+  return (
+    <div className="practice-page search-page">
+      <h1>Search</h1>
+
+      <form className="settings-content search-form" onSubmit={handleSubmit}>
+        <div className="search-box">
+          <input
+            type="search"
+            value={queryString}
+            onChange={e => setQueryString(e.target.value)}
+            placeholder='Search question and answer text, e.g. "Das Lied" Mahler'
+          />
+          <button type="submit" className="btn primary" disabled={loading}>Search</button>
+        </div>
+
+        <div className="chip-list">
+          {QUESTION_TYPES.map(t => (
+            <button
+              key={t.value}
+              type="button"
+              className={`chip ${questionType === t.value ? 'active' : ''}`}
+              onClick={() => setQuestionType(t.value)}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="setting-section">
+          <span>Categories {categories.length ? `(${categories.length})` : '(all)'}</span>
+          <div className="chip-list">
+            {CATEGORIES.map(cat => (
+              <button
+                key={cat}
+                type="button"
+                className={`chip ${categories.includes(cat) ? 'active' : ''}`}
+                onClick={() => toggle(setCategories, cat)}
+              >
+                {cat}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="setting-section">
+          <span>Difficulties {difficulties.length ? `(${difficulties.length})` : '(all)'}</span>
+          <div className="chip-list">
+            {DIFFICULTIES.map(d => (
+              <button
+                key={d.value}
+                type="button"
+                className={`chip ${difficulties.includes(d.value) ? 'active' : ''}`}
+                onClick={() => toggle(setDifficulties, d.value)}
+              >
+                {d.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </form>
+
+      {error && <div className="error-msg">{error}</div>}
+
+      {loading && <p>Loading...</p>}
+
+      {tossups && search.questionType !== 'bonus' && (
+        <section className="search-section">
+          <div className="search-section-header">
+            <h2>Tossups ({tossups.count})</h2>
+            {tossups.count > 0 && (
+              <button className="btn primary" onClick={() => practiceResults('tossup')} disabled={loading}>
+                Practice these results
+              </button>
+            )}
+          </div>
+          {tossups.questionArray.map(t => (
+            <div key={t._id} className="search-result">
+              <QuestionMeta question={t} />
+              <Highlighted html={escapeHtml(t.question_sanitized || t.question)} terms={terms} />
+              <div className="answer-display">
+                <strong>Answer:</strong> <Highlighted html={t.answer} terms={terms} />
+              </div>
+            </div>
+          ))}
+          <Pagination
+            page={search.tossupPagination}
+            count={tossups.count}
+            onChange={page => runSearch({ ...search, tossupPagination: page })}
+          />
+        </section>
+      )}
+
+      {bonuses && search.questionType !== 'tossup' && (
+        <section className="search-section">
+          <div className="search-section-header">
+            <h2>Bonuses ({bonuses.count})</h2>
+            {bonuses.count > 0 && (
+              <button className="btn primary" onClick={() => practiceResults('bonus')} disabled={loading}>
+                Practice these results
+              </button>
+            )}
+          </div>
+          {bonuses.questionArray.map(b => (
+            <div key={b._id} className="search-result">
+              <QuestionMeta question={b} />
+              <Highlighted html={escapeHtml(b.leadin_sanitized || b.leadin)} terms={terms} />
+              {b.parts.map((part, idx) => (
+                <div key={idx} className="search-bonus-part">
+                  <Highlighted html={escapeHtml(b.parts_sanitized?.[idx] || part)} terms={terms} />
+                  <div className="answer-display">
+                    <strong>Answer:</strong> <Highlighted html={b.answers[idx]} terms={terms} />
+                  </div>
+                </div>
+              ))}
+            </div>
+          ))}
+          <Pagination
+            page={search.bonusPagination}
+            count={bonuses.count}
+            onChange={page => runSearch({ ...search, bonusPagination: page })}
+          />
+        </section>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,95 @@
+import { useState, useEffect, useMemo } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { getSetList, getNumPackets } from '../api/qbreader'
+import '../components/Settings.css'
+import './Practice.css'
+import './SetBrowser.css'
+
+const setPath = (setName) => `/sets/${encodeURIComponent(setName)}`
+
+function SetPackets({ setName }) {
+  const [numPackets, setNumPackets] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    getNumPackets(setName)
+      .then(setNumPackets)
+      .catch(err => setError('Failed to load packets: ' + err.message))
+  }, [setName])
+
+  return (
+    <div className="practice-page set-browser">
+      <Link to="/sets" className="set-browser-back">← All sets</Link>
+      <h1>{setName}</h1>
+
+      {error && <div className="error-msg">{error}</div>}
+      {numPackets === null && !error && <p>Loading...</p>}
+
+      {numPackets !== null && (
+        <div className="packet-grid">
+          {Array.from({ length: numPackets }, (_, i) => (
+            <Link key={i + 1} to={`${setPath(setName)}/${i + 1}`} className="packet-link">
+              Packet {i + 1}
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function SetList() {
+  const [setList, setSetList] = useState([])
+  const [filter, setFilter] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    getSetList()
+      .then(setSetList)
+      .catch(err => setError('Failed to load sets: ' + err.message))
+      .finally(() => setLoading(false))
+  }, [])
+
+  const filtered = useMemo(() => {
+    const needle = filter.trim().toLowerCase()
+    return needle ? setList.filter(name => name.toLowerCase().includes(needle)) : setList
+  }, [setList, filter])
+
+  return (
+    <div className="practice-page set-browser">
+      <h1>Sets</h1>
+
+      <input
+        type="search"
+        className="set-filter"
+        value={filter}
+        onChange={e => setFilter(e.target.value)}
+        placeholder="Filter sets, e.g. 2024 ACF"
+      />
+
+      {error && <div className="error-msg">{error}</div>}
+      {loading && <p>Loading...</p>}
+
+      {!loading && !error && (
+        <p className="setting-hint">{filtered.length} of {setList.length} sets</p>
+      )}
+
+      <ul className="set-list">
+        {filtered.map(name => (
+          <li key={name}>
+            <Link to={setPath(name)}>{name}</Link>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+/**
+ * Browse the qbreader set list at /sets, or one set's packets at /sets/:setName.
+ */
+export default function SetBrowser() {
+  const { setName } = useParams()
+  return setName ? <SetPackets key={setName} setName={setName} /> : <SetList />
+}
@@ -0,0 +1,140 @@
+import { useState, useEffect, useMemo } from 'react'
+import { DIFFICULTIES } from '../api/qbreader'
+import { getResults } from '../api/history'
+import { filterRecords } from '../utils/history'
+import { groupStats, summarizeTossups, summarizeBonuses } from '../utils/stats'
+import '../components/Settings.css'
+import './Practice.css'
+import './Stats.css'
+
+const fmt = (n, digits = 2) => n.toFixed(digits)
+const pct = (n) => `${Math.round(n * 100)}%`
+
+function StatsTable({ title, rows, showCategory }) {
+  if (rows.length === 0) return null
+  const showSuperpowers = rows.some(row => row.tossups.superpowers > 0)
+
+  return (
+    <div className="stats-section">
+      <h2>{title}</h2>
+      <div className="stats-table-wrapper">
+        <table className="stats-table">
+          <thead>
+            <tr>
+              <th>{showCategory ? 'Subcategory' : 'Category'}</th>
+              {showCategory && <th>Category</th>}
+              <th>TUH</th>
+              {showSuperpowers && <th>SP/TU</th>}
+              <th>P/TU</th>
+              <th>G/TU</th>
+              <th>N/TU</th>
+              <th>Avg buzz</th>
+              <th>Bonuses</th>
+              <th>PPB</th>
+              <th>30 rate</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.name} className={row.total ? 'total-row' : ''}>
+                <td>{row.name}</td>
+                {showCategory && <td>{row.category || ''}</td>}
+                <td>{row.tossups.heard}</td>
+                {showSuperpowers && <td>{row.tossups.heard ? fmt(row.tossups.superpowersPerTossup) : '—'}</td>}
+                <td>{row.tossups.heard ? fmt(row.tossups.powersPerTossup) : '—'}</td>
+                <td>{row.tossups.heard ? fmt(row.tossups.getsPerTossup) : '—'}</td>
+                <td>{row.tossups.heard ? fmt(row.tossups.negsPerTossup) : '—'}</td>
+                <td>{row.tossups.avgBuzz !== null ? `word ${Math.round(row.tossups.avgBuzz) + 1}` : '—'}</td>
+                <td>{row.bonuses.heard}</td>
+                <td>{row.bonuses.heard ? fmt(row.bonuses.ppb) : '—'}</td>
+                <td>{row.bonuses.heard ? pct(row.bonuses.thirtyRate) : '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default function Stats() {
+  const [records, setRecords] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [fromDate, setFromDate] = useState('')
+  const [toDate, setToDate] = useState('')
+  const [difficulties, setDifficulties] = useState([])
+
+  useEffect(() => {
+    getResults()
+      .then(setRecords)
+      .catch(err => setError('Failed to load history: ' + err.message))
+      .finally(() => setLoading(false))
+  }, [])
+
+  const filtered = useMemo(() => filterRecords(records, {
+    from: fromDate ? new Date(`${fromDate}T00:00:00`).getTime() : undefined,
+    to: toDate ? new Date(`${toDate}T23:59:59.999`).getTime() : undefined,
+    difficulties,
+  }), [records, fromDate, toDate, difficulties])
+
+  const categoryRows = useMemo(() => {
+    const rows = groupStats(filtered, 'category')
+    if (rows.length === 0) return rows
+    return [...rows, {
+      name: 'All',
+      total: true,
+      tossups: summarizeTossups(filtered.filter(r => r.type === 'tossup')),
+      bonuses: summarizeBonuses(filtered.filter(r => r.type === 'bonus')),
+    }]
+  }, [filtered])
+
+  const subcategoryRows = useMemo(() => groupStats(filtered, 'subcategory'), [filtered])
+
+  const toggleDifficulty = (diff) => {
+    setDifficulties(prev => prev.includes(diff)
+      ? prev.filter(d => d !== diff)
+      : [...prev, diff])
+  }
+
+  return (
+    <div className="practice-page stats-page">
+      <h1>Statistics</h1>
+
+      <div className="settings-content stats-filters">
+        <div className="setting-row">
+          <span>From</span>
+          <input type="date" value={fromDate} onChange={e => setFromDate(e.target.value)} />
+          <span>To</span>
+          <input type="date" value={toDate} onChange={e => setToDate(e.target.value)} />
+        </div>
+
+        <div className="setting-section">
+          <span>Difficulties {difficulties.length ? `(${difficulties.length})` : '(all)'}</span>
+          <div className="chip-list">
+            {DIFFICULTIES.map(d => (
+              <button
+                key={d.value}
+                className={`chip ${difficulties.includes(d.value) ? 'active' : ''}`}
+                onClick={() => toggleDifficulty(d.value)}
+              >
+                {d.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {error && <div className="error-msg">{error}</div>}
+
+      {loading && <p>Loading...</p>}
+
+      {!loading && !error && filtered.length === 0 && (
+        <p className="stats-empty">No practice results yet. Play some tossups or bonuses first.</p>
+      )}
+
+      <StatsTable title="By category" rows={categoryRows} />
+      <StatsTable title="By subcategory" rows={subcategoryRows} showCategory />
+    </div>
+  )
+}
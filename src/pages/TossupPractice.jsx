@@ -1,9 +1,26 @@
 import { useState, useEffect, useCallback, useRef } from 'react'
-import { getRandomTossup, checkAnswer } from '../api/qbreader'
-import { findPowerIndex, stripPowerMarker, calcTossupPoints, updateTossupScore } from '../utils/tossup'
+import { useLocation } from 'react-router-dom'
+import { checkAnswer } from '../api/qbreader'
+import { saveResult } from '../api/history'
+import { recordReview } from '../api/review'
+import {
+  findPowerIndex, findSuperpowerIndex, stripPowerMarker,
+  getBuzzTier, calcTossupPoints, updateTossupScore,
+} from '../utils/tossup'
+import { buildTossupRecord } from '../utils/history'
+import { answerlineFor } from '../utils/judge'
+import { tossupQuality } from '../utils/review'
+import { planReading } from '../utils/pronunciation'
+import { tossupOutcome } from '../utils/adaptive'
 import useTTS from '../hooks/useTTS'
+import useSettings from '../hooks/useSettings'
+import useSettingsUrl from '../hooks/useSettingsUrl'
+import useQuestionPicker from '../hooks/useQuestionPicker'
 import useSpeechRecognition from '../hooks/useSpeechRecognition'
 import Settings from '../components/Settings'
+import AdaptiveLevel from '../components/AdaptiveLevel'
+import CategoryWeights from '../components/CategoryWeights'
+import CopyLinkButton from '../components/CopyLinkButton'
 import '../components/Settings.css'
 import './Practice.css'
 
@@ -11,25 +28,55 @@ const PHASE = {
   IDLE: 'idle',
   READING: 'reading',
   BUZZING: 'buzzing',
+  PROMPT: 'prompt',
   RESULT: 'result',
 }
 
-export default function TossupPractice() {
-  const [settings, setSettings] = useState({
-    rate: 1,
-    voiceURI: undefined,
-    categories: [],
-    difficulties: [],
-    buzzTimer: 5,
-    answerTimer: 3,
-  })
+// Phases where the player is giving an answer (first answer or a prompt)
+const isAnswering = (phase) => phase === PHASE.BUZZING || phase === PHASE.PROMPT
+
+/**
+ * Single-player tossup practice. Standalone it plays random tossups; other
+ * modes (e.g. packet playback) embed it with their own question source.
+ *
+ * @param {Object} props
+ * @param {{next: () => Promise<Object|null>}} [props.source] - Where tossups come
+ *   from instead of the random prefetch queue; next() resolves null when exhausted
+ * @param {Function} [props.onResult] - Called with each scored result and its tossup
+ * @param {Function} [props.onNext] - Replaces fetching the next tossup on "Next"
+ * @param {boolean} [props.autoStart] - Fetch and read a tossup on mount
+ * @param {boolean} [props.embedded] - Hide the title, settings and scoreboard
+ * @param {boolean} [props.syncUrl] - Keep the settings in the query string;
+ *   on unless embedded
+ */
+export default function TossupPractice({
+  source,
+  onResult,
+  onNext,
+  autoStart = false,
+  embedded = false,
+  syncUrl = !embedded,
+}) {
+  const { settings, setSettings } = useSettings()
+  useSettingsUrl({ enabled: syncUrl })
+  const location = useLocation()
+  const {
+    next: pickQuestion, questionSource, listSource, adapting, adaptive, recordOutcome,
+    distribution, roundSlot, focusing, weights, refreshWeights,
+  } = useQuestionPicker('tossup', { source })
+
   const [tossup, setTossup] = useState(null)
   const [words, setWords] = useState([])
+  // Spoken-word index for each displayed word (power markers aren't spoken,
+  // pronunciation guides depend on the setting)
+  const [spokenMap, setSpokenMap] = useState([])
   const [powerIndex, setPowerIndex] = useState(-1)
+  const [superpowerIndex, setSuperpowerIndex] = useState(-1)
   const [phase, setPhase] = useState(PHASE.IDLE)
   const [buzzIndex, setBuzzIndex] = useState(-1)
   const [answer, setAnswer] = useState('')
   const [result, setResult] = useState(null)
+  const [prompts, setPrompts] = useState([])
   const [score, setScore] = useState({ correct: 0, neg: 0, total: 0, questions: 0 })
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
@@ -45,7 +92,12 @@ export default function TossupPractice() {
   const buzzedAfterDoneRef = useRef(false)
   const answerStartedRef = useRef(false)
 
-  const tts = useTTS({ rate: settings.rate, voiceURI: settings.voiceURI })
+  const tts = useTTS({
+    rate: settings.rate,
+    voiceURI: settings.voiceURI,
+    reader: settings.reader,
+    wpm: settings.readerWpm,
+  })
 
   // Timer helpers
   const clearBuzzTimer = useCallback(() => {
@@ -64,47 +116,84 @@ export default function TossupPractice() {
     setAnswerCountdown(null)
   }, [])
 
+  // Persist a finished tossup to the practice history and review deck, and report it
+  const recordResult = useCallback((res) => {
+    if (!tossup) return
+    const tier = res.directive === 'accept'
+      ? getBuzzTier(powerIndex, res.buzzIndex, { superpowerIndex, ruleset: settings.ruleset })
+      : null
+    const afterEnd = res.buzzIndex >= 0 && buzzedAfterDoneRef.current
+    saveResult(buildTossupRecord(tossup, { ...res, powerIndex, superpowerIndex, tier, afterEnd }))
+      .then(() => { if (focusing) refreshWeights() })
+      .catch(err => console.error('Failed to save result:', err))
+    const quality = tossupQuality({
+      directive: res.directive,
+      buzzed: res.buzzIndex >= 0,
+      power: tier === 'power' || tier === 'superpower',
+      prompted: prompts.length > 0,
+    })
+    recordReview('tossup', tossup, quality)
+      .catch(err => console.error('Failed to update review deck:', err))
+    recordOutcome(tossupOutcome(res.directive, tier))
+    onResult?.({ ...res, tossup })
+  }, [tossup, powerIndex, superpowerIndex, prompts.length, settings.ruleset, recordOutcome, focusing, refreshWeights, onResult])
+
   // Submit answer (extracted so voice and keyboard can both call it)
   const doSubmit = useCallback(async (answerText) => {
     if (!answerText.trim() || !tossup) return
     if (submittingRef.current) return
     submittingRef.current = true
 
-    const expectedAnswer = tossup.answer_sanitized || tossup.answer
+    const expectedAnswer = answerlineFor(tossup)
     try {
-      const res = await checkAnswer(answerText.trim(), expectedAnswer)
+      const res = await checkAnswer(answerText.trim(), expectedAnswer, { offline: settings.offlineJudge })
       const directive = res.directive
 
-      const points = calcTossupPoints(directive, powerIndex, buzzIndex)
+      if (directive === 'prompt') {
+        // Stay in the answer flow; the PROMPT phase effects restart the
+        // answer timer and voice recognition for the follow-up answer
+        setPrompts(prev => [...prev, {
+          userAnswer: answerText.trim(),
+          directedPrompt: res.directedPrompt || null,
+        }])
+        setAnswer('')
+        setPhase(PHASE.PROMPT)
+        return
+      }
+
+      const points = calcTossupPoints(directive, powerIndex, buzzIndex, {
+        superpowerIndex,
+        ruleset: settings.ruleset,
+        afterEnd: buzzedAfterDoneRef.current,
+      })
 
       setResult({
         directive,
-        directedPrompt: res.directedPrompt,
         points,
-        isPower: points === 15,
+        tier: directive === 'accept'
+          ? getBuzzTier(powerIndex, buzzIndex, { superpowerIndex, ruleset: settings.ruleset })
+          : null,
         userAnswer: answerText.trim(),
       })
-
-      if (directive !== 'prompt') {
-        setScore(prev => updateTossupScore(prev, points))
-        setPhase(PHASE.RESULT)
-      }
+      setScore(prev => updateTossupScore(prev, points))
+      recordResult({ buzzIndex, directive, points, givenAnswer: answerText.trim() })
+      setPhase(PHASE.RESULT)
     } catch (err) {
       setError('Failed to check answer: ' + err.message)
     } finally {
       submittingRef.current = false
     }
-  }, [tossup, buzzIndex, powerIndex])
+  }, [tossup, buzzIndex, powerIndex, superpowerIndex, recordResult, settings.ruleset, settings.offlineJudge])
 
   // Voice recognition — auto-submit on final result
   const handleVoiceFinal = useCallback((transcript) => {
-    if (phase !== PHASE.BUZZING) return
+    if (!isAnswering(phase)) return
     setAnswer(transcript)
     doSubmit(transcript)
   }, [phase, doSubmit])
 
   const handleVoiceInterim = useCallback((transcript) => {
-    if (phase !== PHASE.BUZZING || voiceDisabled) return
+    if (!isAnswering(phase) || voiceDisabled) return
     answerStartedRef.current = true
     setAnswer(transcript)
   }, [phase, voiceDisabled])
@@ -114,14 +203,22 @@ export default function TossupPractice() {
     onInterimResult: handleVoiceInterim,
   })
 
-  // Clean up voice recognition when leaving buzzing phase
+  // Clean up voice recognition when leaving the answer phases
   useEffect(() => {
-    if (phase !== PHASE.BUZZING) {
+    if (!isAnswering(phase)) {
       speech.reset()
       setVoiceDisabled(false)
     }
   }, [phase]) // eslint-disable-line react-hooks/exhaustive-deps
 
+  // Each prompt (including nested prompts) restarts voice recognition
+  useEffect(() => {
+    if (phase !== PHASE.PROMPT) return
+    setVoiceDisabled(false)
+    if (speech.supported) speech.start()
+    setTimeout(() => answerInputRef.current?.focus(), 50)
+  }, [phase, prompts.length]) // eslint-disable-line react-hooks/exhaustive-deps
+
   // Buzz timer: starts when TTS voice finishes while still in READING phase
   useEffect(() => {
     if (tts.done && phase === PHASE.READING && settings.buzzTimer > 0) {
@@ -133,6 +230,7 @@ export default function TossupPractice() {
           clearBuzzTimer()
           setResult({ directive: 'reject', points: 0, timedOut: 'buzz' })
           setScore(prev => updateTossupScore(prev, 0))
+          recordResult({ buzzIndex: -1, directive: 'reject', points: 0, timedOut: 'buzz' })
           setPhase(PHASE.RESULT)
         } else {
           setBuzzCountdown(remaining)
@@ -142,9 +240,9 @@ export default function TossupPractice() {
     return () => clearBuzzTimer()
   }, [tts.done, phase]) // eslint-disable-line react-hooks/exhaustive-deps
 
-  // Answer timer: starts when entering BUZZING phase
+  // Answer timer: starts when entering BUZZING phase and again on each prompt
   useEffect(() => {
-    if (phase === PHASE.BUZZING && settings.answerTimer > 0) {
+    if (isAnswering(phase) && settings.answerTimer > 0) {
       answerStartedRef.current = false
       let remaining = Math.round(settings.answerTimer * 10)
       setAnswerCountdown(remaining)
@@ -157,9 +255,13 @@ export default function TossupPractice() {
         if (remaining <= 0) {
           clearAnswerTimer()
           speech.stop()
-          const points = buzzedAfterDoneRef.current ? 0 : -5
+          const points = calcTossupPoints('reject', powerIndex, buzzIndex, {
+            ruleset: settings.ruleset,
+            afterEnd: buzzedAfterDoneRef.current,
+          })
           setResult({ directive: 'reject', points, timedOut: 'answer' })
           setScore(prev => updateTossupScore(prev, points))
+          recordResult({ buzzIndex, directive: 'reject', points, timedOut: 'answer' })
           setPhase(PHASE.RESULT)
         } else {
           setAnswerCountdown(remaining)
@@ -167,7 +269,7 @@ export default function TossupPractice() {
       }, 100)
     }
     return () => clearAnswerTimer()
-  }, [phase]) // eslint-disable-line react-hooks/exhaustive-deps
+  }, [phase, prompts.length]) // eslint-disable-line react-hooks/exhaustive-deps
 
   // Fetch a new tossup
   const fetchTossup = useCallback(async () => {
@@ -179,6 +281,7 @@ export default function TossupPractice() {
     clearAnswerTimer()
     setPhase(PHASE.IDLE)
     setResult(null)
+    setPrompts([])
     setAnswer('')
     setBuzzIndex(-1)
     setVoiceDisabled(false)
@@ -186,31 +289,36 @@ export default function TossupPractice() {
     answerStartedRef.current = false
 
     try {
-      const opts = {}
-      if (settings.categories.length > 0) opts.categories = settings.categories
-      if (settings.difficulties.length > 0) opts.difficulties = settings.difficulties
-      const tossups = await getRandomTossup(opts)
-      if (!tossups || tossups.length === 0) {
-        setError('No tossups found. Try different filters.')
+      const t = await pickQuestion()
+      if (!t) {
+        setError(questionSource ? 'No more tossups.' : 'No tossups found. Try different filters.')
         setLoading(false)
         return
       }
-      const t = tossups[0]
       setTossup(t)
       const text = t.question_sanitized || t.question
       const rawWords = text.split(/\s+/).filter(Boolean)
-      const rawQ = (t.question || '').split(/\s+/).filter(Boolean)
-      setPowerIndex(findPowerIndex(rawQ))
+      const reading = planReading(rawWords, settings.pronunciation)
+      // Marker positions are kept in spoken-word space to compare with the buzz index
+      const toSpoken = (rawIndex) => rawIndex < 0 ? -1 : reading.starts[rawIndex]
+      setPowerIndex(toSpoken(findPowerIndex(rawWords)))
+      setSuperpowerIndex(toSpoken(findSuperpowerIndex(rawWords)))
       setWords(rawWords)
+      setSpokenMap(reading.spokenMap)
       setPhase(PHASE.READING)
       setLoading(false)
-      const ttsWords = stripPowerMarker(rawWords)
-      tts.speak(ttsWords)
+      tts.speak(reading.spoken)
     } catch (err) {
       setError('Failed to fetch tossup: ' + err.message)
       setLoading(false)
     }
-  }, [settings.categories, settings.difficulties, tts]) // eslint-disable-line react-hooks/exhaustive-deps
+  }, [pickQuestion, questionSource, tts, settings.pronunciation]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  const handleNext = onNext ?? fetchTossup
+
+  useEffect(() => {
+    if (autoStart) fetchTossup()
+  }, []) // eslint-disable-line react-hooks/exhaustive-deps
 
   // Buzz handler — start speech recognition directly here (user gesture context)
   const handleBuzz = useCallback(() => {
@@ -226,7 +334,7 @@ export default function TossupPractice() {
 
   // Submit answer from keyboard
   const handleSubmit = useCallback(() => {
-    if (phase !== PHASE.BUZZING || !answer.trim()) return
+    if (!isAnswering(phase) || !answer.trim()) return
     speech.stop()
     doSubmit(answer)
   }, [phase, answer, doSubmit, speech])
@@ -258,26 +366,42 @@ export default function TossupPractice() {
         handleBuzz()
       } else if (e.code === 'KeyN' && phase === PHASE.RESULT) {
         e.preventDefault()
-        fetchTossup()
+        handleNext()
       }
     }
     window.addEventListener('keydown', handler)
     return () => window.removeEventListener('keydown', handler)
-  }, [phase, handleBuzz, fetchTossup])
+  }, [phase, handleBuzz, handleNext])
 
   return (
     <div className="practice-page">
-      <h1>Tossup Practice</h1>
-
-      <Settings settings={settings} onChange={setSettings} voices={tts.voices} />
+      {!embedded && (
+        <>
+          <h1>Tossup Practice</h1>
+          {listSource && (
+            <p className="practice-source">
+              {location.state.label || 'Selected questions'} ({location.state.tossups.length})
+            </p>
+          )}
+
+          <Settings settings={settings} onChange={setSettings} voices={tts.voices} mode="tossup" />
+
+          {/* Score display */}
+          <div className="scoreboard">
+            <span>Score: <strong>{score.total}</strong></span>
+            <span>Correct: {score.correct}</span>
+            {settings.ruleset.neg !== 0 && <span>Negs: {score.neg}</span>}
+            <span>Questions: {score.questions}</span>
+            {adapting && <AdaptiveLevel state={adaptive} />}
+            {distribution && roundSlot && (
+              <span title={roundSlot.label}>{distribution.name}: {roundSlot.position}/{roundSlot.total}</span>
+            )}
+            <span className="scoreboard-ruleset">{settings.ruleset.name}</span>
+          </div>
 
-      {/* Score display */}
-      <div className="scoreboard">
-        <span>Score: <strong>{score.total}</strong></span>
-        <span>Correct: {score.correct}</span>
-        <span>Negs: {score.neg}</span>
-        <span>Questions: {score.questions}</span>
-      </div>
+          {focusing && <CategoryWeights weights={weights} />}
+        </>
+      )}
 
       {/* Error */}
       {error && <div className="error-msg">{error}</div>}
@@ -294,13 +418,17 @@ export default function TossupPractice() {
 
           <div className="question-text" ref={questionTextRef}>
             {words.map((word, i) => {
-              const visible = phase === PHASE.RESULT || tts.done || i <= (phase === PHASE.BUZZING ? buzzIndex : tts.wordIndex)
+              const spokenIndex = spokenMap[i]
+              const visible = phase === PHASE.RESULT || tts.done || spokenIndex <= (isAnswering(phase) ? buzzIndex : tts.wordIndex)
               if (!visible) return null
+              const markerOnly = stripPowerMarker([word]).length === 0
+              const classes = ['word']
+              if (word.includes('(+)')) classes.push('superpower-mark')
+              else if (word.includes('(*)')) classes.push('power-mark')
+              if (!markerOnly && spokenIndex === tts.wordIndex && phase === PHASE.READING) classes.push('highlight')
+              if (!markerOnly && spokenIndex === buzzIndex && phase === PHASE.RESULT) classes.push('buzz-point')
               return (
-                <span
-                  key={i}
-                  className={`word ${i === tts.wordIndex && phase === PHASE.READING ? 'highlight' : ''}`}
-                >
+                <span key={i} className={classes.join(' ')}>
                   {word}{' '}
                 </span>
               )
@@ -336,7 +464,15 @@ export default function TossupPractice() {
           </div>
         )}
 
-        {phase === PHASE.BUZZING && (
+        {phase === PHASE.PROMPT && (
+          <div className="prompt-banner">
+            Prompt{prompts.length > 1 ? ` (${prompts.length})` : ''}:{' '}
+            {prompts[prompts.length - 1].directedPrompt || 'Can you be more specific?'}
+            <span className="prompt-previous">You said: {prompts[prompts.length - 1].userAnswer}</span>
+          </div>
+        )}
+
+        {isAnswering(phase) && (
           <div className="answer-area">
             {answerCountdown !== null && (
               <span className={`countdown ${answerCountdown <= 10 ? 'warning' : ''}`}>
@@ -379,7 +515,7 @@ export default function TossupPractice() {
                   : result?.timedOut === 'answer'
                     ? `Buzzed but didn't answer in time. 0 points.`
                     : result?.points > 0
-                      ? `Correct! ${result.isPower ? '(POWER!) ' : ''}+${result.points} points.`
+                      ? `Correct! ${result.tier === 'superpower' ? '(SUPERPOWER!) ' : result.tier === 'power' ? '(POWER!) ' : ''}+${result.points} points.`
                       : result?.points < 0
                         ? `Wrong answer. ${result.points} points.`
                         : `No points.`}
@@ -389,13 +525,21 @@ export default function TossupPractice() {
                 <strong>Your answer:</strong> {result.userAnswer}
               </div>
             )}
+            {prompts.length > 0 && (
+              <div className="answer-display">
+                <strong>Prompted on:</strong> {prompts.map(p => p.userAnswer).join(', ')}
+              </div>
+            )}
             <div className="answer-display">
               <strong>Answer:</strong>{' '}
               <span dangerouslySetInnerHTML={{ __html: tossup.answer }} />
             </div>
-            <button className="btn primary" onClick={fetchTossup}>
-              Next (N)
-            </button>
+            <div className="result-actions">
+              <button className="btn primary" onClick={handleNext}>
+                Next (N)
+              </button>
+              <CopyLinkButton type="tossup" id={tossup._id} />
+            </div>
           </div>
         )}
       </div>
@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  createAdaptiveState, tossupOutcome, bonusOutcome, recordAdaptiveOutcome,
+  loadAdaptiveState, saveAdaptiveState, MAX_LEVEL, MIN_LEVEL,
+} from '../adaptive'
+
+const play = (state, outcomes) => outcomes.reduce(recordAdaptiveOutcome, state)
+
+describe('outcomes', () => {
+  it('steps up on powers and down on negs and dead tossups', () => {
+    expect(tossupOutcome('accept', 'power')).toBe('up')
+    expect(tossupOutcome('accept', 'superpower')).toBe('up')
+    expect(tossupOutcome('accept', 'correct')).toBe('hold')
+    expect(tossupOutcome('reject', null)).toBe('down')
+  })
+
+  it('steps up on 30s and down on zeroed bonuses', () => {
+    expect(bonusOutcome([{ correct: true }, { correct: true }, { correct: true }])).toBe('up')
+    expect(bonusOutcome([{ correct: true }, { correct: false }, { correct: false }])).toBe('hold')
+    expect(bonusOutcome([{ correct: false }, { correct: false }, { correct: false }])).toBe('down')
+  })
+})
+
+describe('recordAdaptiveOutcome', () => {
+  it('steps up after sustained good results', () => {
+    const state = play(createAdaptiveState(4), ['up', 'hold', 'up', 'up'])
+    expect(state.level).toBe(5)
+    expect(state.recent).toEqual([])
+    expect(state.history.map(h => h.level)).toEqual([4, 5])
+  })
+
+  it('steps down after sustained negs', () => {
+    expect(play(createAdaptiveState(4), ['down', 'down', 'down']).level).toBe(3)
+  })
+
+  it('holds on mixed results', () => {
+    const state = play(createAdaptiveState(4), ['up', 'down', 'up', 'down', 'hold'])
+    expect(state.level).toBe(4)
+    expect(state.recent).toHaveLength(5)
+  })
+
+  it('only counts the rolling window', () => {
+    // The first two ups fall out of the window before the third arrives
+    const state = play(createAdaptiveState(4), ['up', 'up', 'hold', 'hold', 'hold', 'hold', 'up'])
+    expect(state.level).toBe(4)
+  })
+
+  it('stays within the level range', () => {
+    expect(play(createAdaptiveState(MAX_LEVEL), ['up', 'up', 'up']).level).toBe(MAX_LEVEL)
+    expect(play(createAdaptiveState(MIN_LEVEL), ['down', 'down', 'down']).level).toBe(MIN_LEVEL)
+  })
+})
+
+describe('adaptive state storage', () => {
+  beforeEach(() => localStorage.clear())
+
+  it('starts fresh when nothing is stored', () => {
+    expect(loadAdaptiveState('tossup').level).toBe(3)
+  })
+
+  it('keeps tossup and bonus state separately', () => {
+    saveAdaptiveState('tossup', createAdaptiveState(7))
+    saveAdaptiveState('bonus', createAdaptiveState(2))
+    expect(loadAdaptiveState('tossup').level).toBe(7)
+    expect(loadAdaptiveState('bonus').level).toBe(2)
+  })
+
+  it('ignores corrupt stored data', () => {
+    localStorage.setItem('qb_adaptive', '{not json')
+    expect(loadAdaptiveState('bonus').level).toBe(3)
+  })
+})
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest'
-import { calcBonusTotal, updateBonusScore } from '../bonus'
+import { calcBonusTotal, updateBonusScore, calcBonusPartPoints } from '../bonus'
 
 describe('calcBonusTotal', () => {
   it('sums part points', () => {
@@ -52,6 +52,12 @@ describe('updateBonusScore', () => {
     })
   })
 
+  it('counts a max-value bonus for a custom part value', () => {
+    expect(updateBonusScore(initial, 60, 60)).toEqual({
+      total: 60, bonuses: 1, thirties: 1,
+    })
+  })
+
   it('accumulates over multiple bonuses', () => {
     let score = initial
     score = updateBonusScore(score, 30)
@@ -62,3 +68,21 @@ describe('updateBonusScore', () => {
     })
   })
 })
+
+describe('calcBonusPartPoints', () => {
+  it('returns 10 for accept', () => {
+    expect(calcBonusPartPoints('accept')).toBe(10)
+  })
+
+  it('returns 0 for reject', () => {
+    expect(calcBonusPartPoints('reject')).toBe(0)
+  })
+
+  it('returns 0 for an unresolved prompt', () => {
+    expect(calcBonusPartPoints('prompt')).toBe(0)
+  })
+
+  it('uses the ruleset part value', () => {
+    expect(calcBonusPartPoints('accept', { bonusPart: 20 })).toBe(20)
+  })
+})
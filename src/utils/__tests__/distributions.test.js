@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DISTRIBUTIONS, findDistribution, roundSize, createRound, slotFilters, createRoundPlanner,
+} from '../distributions'
+
+const tiny = {
+  id: 'tiny',
+  slots: [
+    { label: 'Science', count: 2, categories: ['Science'] },
+    { label: 'Physics', count: 1, subcategories: ['Physics'] },
+  ],
+}
+
+describe('DISTRIBUTIONS', () => {
+  it('fills a 20-question round', () => {
+    for (const d of DISTRIBUTIONS) expect(roundSize(d)).toBe(20)
+  })
+
+  it('gives every slot a category or subcategory filter', () => {
+    for (const d of DISTRIBUTIONS) {
+      for (const s of d.slots) expect(s.categories || s.subcategories).toBeTruthy()
+    }
+  })
+
+  it('finds distributions by id', () => {
+    expect(findDistribution('acf-regs').name).toBe('ACF Regionals')
+    expect(findDistribution('nope')).toBeNull()
+  })
+})
+
+describe('createRound', () => {
+  it('repeats each slot by its count', () => {
+    const round = createRound(tiny)
+    expect(round).toHaveLength(3)
+    expect(round.filter(s => s.label === 'Science')).toHaveLength(2)
+  })
+
+  it('shuffles with the given random source', () => {
+    expect(createRound(tiny, () => 0).map(s => s.label)).toEqual(['Science', 'Physics', 'Science'])
+  })
+})
+
+describe('slotFilters', () => {
+  it('replaces the category selection and keeps other filters', () => {
+    const filters = { categories: ['History'], alternateSubcategories: ['Poetry'], difficulties: [3], offline: true }
+    expect(slotFilters(tiny.slots[1], filters)).toEqual({ subcategories: ['Physics'], difficulties: [3], offline: true })
+    expect(slotFilters(tiny.slots[0], filters)).toEqual({ categories: ['Science'], difficulties: [3], offline: true })
+  })
+})
+
+describe('createRoundPlanner', () => {
+  it('deals a whole round before starting the next', () => {
+    const planner = createRoundPlanner()
+    const dealt = [planner.next(tiny), planner.next(tiny), planner.next(tiny)]
+    expect(dealt.map(d => d.position)).toEqual([1, 2, 3])
+    expect(dealt.filter(d => d.slot.label === 'Science')).toHaveLength(2)
+    expect(planner.next(tiny)).toMatchObject({ position: 1, total: 3 })
+  })
+
+  it('deals a requeued slot again at the end of the round', () => {
+    const planner = createRoundPlanner(() => 0.99)
+    const first = planner.next(tiny)
+    planner.requeue()
+    const rest = [planner.next(tiny), planner.next(tiny), planner.next(tiny)]
+    expect(rest.map(d => d.position)).toEqual([1, 2, 3])
+    expect(rest[2].slot).toBe(first.slot)
+    expect(rest.filter(d => d.slot.label === 'Science')).toHaveLength(2)
+    expect(planner.next(tiny).position).toBe(1)
+  })
+
+  it('starts over when the distribution changes', () => {
+    const planner = createRoundPlanner()
+    planner.next(tiny)
+    expect(planner.next(DISTRIBUTIONS[0])).toMatchObject({ position: 1, total: 20 })
+  })
+})
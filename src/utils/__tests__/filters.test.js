@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest'
+import { buildQuestionFilters, expandSubcategories, matchesFilters, sampleQuestions } from '../filters'
+
+describe('buildQuestionFilters', () => {
+  it('returns no filters for empty selections', () => {
+    expect(buildQuestionFilters({ categories: [], difficulties: [] })).toEqual({})
+  })
+
+  it('passes through selected categories and difficulties', () => {
+    expect(buildQuestionFilters({ categories: ['Science'], difficulties: [3, 4] })).toEqual({
+      categories: ['Science'], difficulties: [3, 4],
+    })
+  })
+
+  it('serves from the offline cache in offline mode', () => {
+    expect(buildQuestionFilters({ categories: [], offlineMode: true })).toEqual({ offline: true })
+  })
+
+  it('tolerates missing settings', () => {
+    expect(buildQuestionFilters({})).toEqual({})
+  })
+
+  it('narrows only the categories with subcategories picked', () => {
+    const opts = buildQuestionFilters({ categories: ['Science', 'Mythology'], subcategories: ['Biology'] })
+    expect(opts.subcategories).toEqual(['Biology', 'Mythology'])
+  })
+
+  it('passes alternate subcategories for categories that have them', () => {
+    const opts = buildQuestionFilters({
+      categories: ['Literature', 'History'],
+      alternateSubcategories: ['Poetry'],
+    })
+    expect(opts.alternateSubcategories).toEqual(['Poetry'])
+    expect(opts.subcategories).toBeUndefined()
+  })
+
+  it('ignores subcategories when no category is selected', () => {
+    expect(buildQuestionFilters({ categories: [], subcategories: ['Biology'] })).toEqual({})
+  })
+
+  it('passes through a year range', () => {
+    expect(buildQuestionFilters({ minYear: 2015, maxYear: null })).toEqual({ minYear: 2015 })
+  })
+})
+
+describe('expandSubcategories', () => {
+  const tree = { Science: ['Biology', 'Chemistry'], History: ['American History', 'World History'] }
+
+  it('returns undefined with nothing picked', () => {
+    expect(expandSubcategories(['Science'], [], tree)).toBeUndefined()
+  })
+
+  it('keeps picks and fills in unnarrowed categories', () => {
+    expect(expandSubcategories(['Science', 'History'], ['Chemistry'], tree))
+      .toEqual(['Chemistry', 'American History', 'World History'])
+  })
+
+  it('treats a category without subcategories as its own', () => {
+    expect(expandSubcategories(['Science', 'Trash'], ['Biology'], tree)).toEqual(['Biology', 'Trash'])
+  })
+})
+
+const science = { _id: 's', category: 'Science', subcategory: 'Biology', difficulty: 3, set: { year: 2018 } }
+const history = { _id: 'h', category: 'History', subcategory: 'European History', difficulty: 7, set: { year: 2012 } }
+const noYear = { _id: 'n', category: 'Literature', subcategory: 'Poetry', difficulty: 3 }
+
+describe('matchesFilters', () => {
+  it('filters by alternate subcategory when the question has one', () => {
+    const poem = { ...noYear, alternate_subcategory: 'Poetry' }
+    expect(matchesFilters(poem, { alternateSubcategories: ['Poetry'] })).toBe(true)
+    expect(matchesFilters(poem, { alternateSubcategories: ['Drama'] })).toBe(false)
+    expect(matchesFilters(science, { alternateSubcategories: ['Drama'] })).toBe(true)
+  })
+
+  it('matches everything with no filters', () => {
+    expect(matchesFilters(science)).toBe(true)
+  })
+
+  it('filters by category, subcategory and difficulty', () => {
+    expect(matchesFilters(science, { categories: ['Science'] })).toBe(true)
+    expect(matchesFilters(science, { categories: ['History'] })).toBe(false)
+    expect(matchesFilters(science, { subcategories: ['Chemistry'] })).toBe(false)
+    expect(matchesFilters(science, { difficulties: [3, 4] })).toBe(true)
+    expect(matchesFilters(science, { difficulties: [7] })).toBe(false)
+  })
+
+  it('filters by year range', () => {
+    expect(matchesFilters(science, { minYear: 2015 })).toBe(true)
+    expect(matchesFilters(history, { minYear: 2015 })).toBe(false)
+    expect(matchesFilters(history, { maxYear: 2012 })).toBe(true)
+  })
+
+  it('excludes questions with no year when a year range is set', () => {
+    expect(matchesFilters(noYear, { minYear: 2000 })).toBe(false)
+  })
+})
+
+describe('sampleQuestions', () => {
+  it('only returns matching questions', () => {
+    expect(sampleQuestions([science, history, noYear], { categories: ['History'] }, 5)).toEqual([history])
+  })
+
+  it('returns up to the requested number without repeats', () => {
+    const picked = sampleQuestions([science, history, noYear], {}, 2)
+    expect(picked).toHaveLength(2)
+    expect(new Set(picked).size).toBe(2)
+  })
+
+  it('uses the supplied random source', () => {
+    expect(sampleQuestions([science, history, noYear], {}, 1, () => 0.99)).toEqual([noYear])
+  })
+
+  it('returns an empty list when nothing matches', () => {
+    expect(sampleQuestions([science], { categories: ['Trash'] }, 1)).toEqual([])
+  })
+})
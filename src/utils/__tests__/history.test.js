@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest'
+import { buildTossupRecord, buildBonusRecord, filterRecords } from '../history'
+
+const tossup = {
+  _id: 't1',
+  set: { name: '2024 ACF Regionals' },
+  category: 'Science',
+  subcategory: 'Biology',
+  difficulty: 6,
+}
+
+const bonus = {
+  _id: 'b1',
+  set: { name: '2024 ACF Regionals' },
+  category: 'History',
+  subcategory: 'European History',
+  difficulty: 6,
+}
+
+describe('buildTossupRecord', () => {
+  it('copies question metadata and the result', () => {
+    const record = buildTossupRecord(tossup, {
+      buzzIndex: 12, powerIndex: 20, directive: 'accept', tier: 'power', points: 15, givenAnswer: 'mitochondria',
+    })
+    expect(record).toMatchObject({
+      type: 'tossup',
+      questionId: 't1',
+      set: '2024 ACF Regionals',
+      category: 'Science',
+      subcategory: 'Biology',
+      difficulty: 6,
+      buzzIndex: 12,
+      powerIndex: 20,
+      superpowerIndex: -1,
+      directive: 'accept',
+      tier: 'power',
+      points: 15,
+      afterEnd: false,
+      givenAnswer: 'mitochondria',
+      timedOut: null,
+    })
+    expect(typeof record.timestamp).toBe('number')
+  })
+
+  it('records timeouts with an empty answer', () => {
+    const record = buildTossupRecord(tossup, {
+      buzzIndex: -1, powerIndex: 20, directive: 'reject', points: 0, timedOut: 'buzz',
+    })
+    expect(record.givenAnswer).toBe('')
+    expect(record.timedOut).toBe('buzz')
+    expect(record.tier).toBeNull()
+  })
+
+  it('tolerates missing metadata', () => {
+    const record = buildTossupRecord({}, { buzzIndex: 0, powerIndex: -1, directive: 'accept', points: 10 })
+    expect(record).toMatchObject({ questionId: null, set: null, category: null, subcategory: null, difficulty: null })
+  })
+})
+
+describe('buildBonusRecord', () => {
+  it('keeps each part and totals the points', () => {
+    const record = buildBonusRecord(bonus, [
+      { directive: 'accept', points: 10, userAnswer: 'Louis XIV' },
+      { directive: 'reject', points: 0, userAnswer: 'Louis XV' },
+      { directive: 'accept', points: 10, userAnswer: 'Versailles' },
+    ])
+    expect(record).toMatchObject({
+      type: 'bonus',
+      questionId: 'b1',
+      category: 'History',
+      points: 20,
+      parts: [
+        { directive: 'accept', points: 10, givenAnswer: 'Louis XIV' },
+        { directive: 'reject', points: 0, givenAnswer: 'Louis XV' },
+        { directive: 'accept', points: 10, givenAnswer: 'Versailles' },
+      ],
+    })
+  })
+})
+
+describe('filterRecords', () => {
+  const records = [
+    { type: 'tossup', difficulty: 3, timestamp: 100 },
+    { type: 'bonus', difficulty: 3, timestamp: 200 },
+    { type: 'tossup', difficulty: 7, timestamp: 300 },
+  ]
+
+  it('returns everything with no filters', () => {
+    expect(filterRecords(records)).toHaveLength(3)
+  })
+
+  it('filters by type', () => {
+    expect(filterRecords(records, { type: 'tossup' })).toEqual([records[0], records[2]])
+  })
+
+  it('filters by inclusive date range', () => {
+    expect(filterRecords(records, { from: 200, to: 300 })).toEqual([records[1], records[2]])
+  })
+
+  it('filters by difficulty', () => {
+    expect(filterRecords(records, { difficulties: [7] })).toEqual([records[2]])
+  })
+
+  it('treats an empty difficulty list as all', () => {
+    expect(filterRecords(records, { difficulties: [] })).toHaveLength(3)
+  })
+})
@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest'
+import { normalizeForJudging, editDistance, isFuzzyMatch, parseAnswerline, answerlineFor, judgeAnswer } from '../judge'
+
+describe('normalizeForJudging', () => {
+  it('lowercases and strips punctuation', () => {
+    expect(normalizeForJudging('St. Louis!')).toBe('st louis')
+  })
+
+  it('strips accents', () => {
+    expect(normalizeForJudging('Dvořák')).toBe('dvorak')
+  })
+
+  it('drops leading articles', () => {
+    expect(normalizeForJudging('The Odyssey')).toBe('odyssey')
+  })
+
+  it('treats hyphens as spaces', () => {
+    expect(normalizeForJudging('Jean-Paul Sartre')).toBe('jean paul sartre')
+  })
+})
+
+describe('editDistance', () => {
+  it('is 0 for equal strings', () => {
+    expect(editDistance('kitten', 'kitten')).toBe(0)
+  })
+
+  it('counts substitutions, insertions and deletions', () => {
+    expect(editDistance('kitten', 'sitting')).toBe(3)
+  })
+
+  it('handles empty strings', () => {
+    expect(editDistance('', 'abc')).toBe(3)
+  })
+})
+
+describe('isFuzzyMatch', () => {
+  it('accepts small typos in long answers', () => {
+    expect(isFuzzyMatch('mitocondria', 'mitochondria')).toBe(true)
+  })
+
+  it('requires short answers to match exactly', () => {
+    expect(isFuzzyMatch('cat', 'car')).toBe(false)
+  })
+
+  it('rejects different answers', () => {
+    expect(isFuzzyMatch('nucleus', 'mitochondria')).toBe(false)
+  })
+
+  it('rejects empty answers', () => {
+    expect(isFuzzyMatch('', 'mitochondria')).toBe(false)
+  })
+})
+
+describe('parseAnswerline', () => {
+  it('parses a plain answer with no clauses', () => {
+    expect(parseAnswerline('Mitochondria')).toEqual({
+      main: ['Mitochondria'], accept: [], prompt: [], reject: [],
+    })
+  })
+
+  it('parses accept, prompt and reject clauses', () => {
+    const parsed = parseAnswerline('Mitochondria [accept mitochondrion; prompt on organelle; do not accept or reject nucleus]')
+    expect(parsed.main).toEqual(['Mitochondria'])
+    expect(parsed.accept).toEqual(['mitochondrion'])
+    expect(parsed.prompt).toEqual([{ answer: 'organelle', directedPrompt: null }])
+    expect(parsed.reject).toEqual(['nucleus'])
+  })
+
+  it('splits alternatives joined by "or"', () => {
+    expect(parseAnswerline('Paris [or City of Light or Lutetia]').accept).toEqual(['City of Light', 'Lutetia'])
+  })
+
+  it('reads directed prompts', () => {
+    const parsed = parseAnswerline('Battle of Hastings [prompt on Hastings by asking "what event happened there?"]')
+    expect(parsed.prompt).toEqual([{ answer: 'Hastings', directedPrompt: 'what event happened there?' }])
+  })
+
+  it('drops qualifiers like "before mention"', () => {
+    expect(parseAnswerline('Uranus [accept Ouranos before "planet"]').accept).toEqual(['Ouranos'])
+  })
+
+  it('treats bold or underlined text as a required answer', () => {
+    const parsed = parseAnswerline('George <b><u>Washington</u></b> [prompt on George]')
+    expect(parsed.main).toEqual(['George Washington', 'Washington'])
+    expect(parsed.prompt[0].answer).toBe('George')
+  })
+
+  it('accepts parentheses as well as brackets', () => {
+    expect(parseAnswerline('Hamlet (accept Prince of Denmark)').accept).toEqual(['Prince of Denmark'])
+  })
+})
+
+describe('answerlineFor', () => {
+  it('prefers the formatted answerline', () => {
+    expect(answerlineFor({ answer: '<b>Sartre</b>', answer_sanitized: 'Sartre' })).toBe('<b>Sartre</b>')
+    expect(answerlineFor({ answers: ['<u>Paris</u>'], answers_sanitized: ['Paris'] }, 0)).toBe('<u>Paris</u>')
+  })
+
+  it('falls back to the sanitized answerline', () => {
+    expect(answerlineFor({ answer_sanitized: 'Sartre' })).toBe('Sartre')
+    expect(answerlineFor({ answers_sanitized: ['Paris'] }, 0)).toBe('Paris')
+  })
+})
+
+describe('judgeAnswer', () => {
+  const answerline = 'Mitochondria [accept mitochondrion; prompt on organelle by asking "which organelle?"; do not accept nucleus]'
+
+  it('accepts the main answer', () => {
+    expect(judgeAnswer('mitochondria', answerline)).toEqual({ directive: 'accept', directedPrompt: null })
+  })
+
+  it('accepts alternates and typos', () => {
+    expect(judgeAnswer('mitochondrion', answerline).directive).toBe('accept')
+    expect(judgeAnswer('mitocondria', answerline).directive).toBe('accept')
+  })
+
+  it('prompts with the directed prompt', () => {
+    expect(judgeAnswer('organelle', answerline)).toEqual({ directive: 'prompt', directedPrompt: 'which organelle?' })
+  })
+
+  it('rejects explicit do-not-accepts', () => {
+    expect(judgeAnswer('nucleus', answerline)).toEqual({ directive: 'reject', directedPrompt: null })
+  })
+
+  it('rejects unrelated answers', () => {
+    expect(judgeAnswer('ribosome', answerline).directive).toBe('reject')
+  })
+
+  it('accepts the required part of an HTML answerline', () => {
+    expect(judgeAnswer('Washington', 'George <b><u>Washington</u></b>').directive).toBe('accept')
+  })
+})
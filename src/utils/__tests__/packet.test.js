@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  createPacketProgress, recordPacketTossup, recordPacketBonus, advancePacket,
+  currentPacketQuestion, loadPacketProgress, savePacketProgress,
+} from '../packet'
+
+const packet = {
+  tossups: [{ _id: 't1' }, { _id: 't2' }],
+  bonuses: [{ _id: 'b1' }, { _id: 'b2' }],
+}
+
+describe('advancePacket', () => {
+  it('follows each tossup with its paired bonus', () => {
+    const start = createPacketProgress('2024 ACF Regionals', 1)
+    expect(currentPacketQuestion(start, packet)._id).toBe('t1')
+    const bonus = advancePacket(start, packet)
+    expect(bonus).toMatchObject({ index: 0, stage: 'bonus' })
+    expect(currentPacketQuestion(bonus, packet)._id).toBe('b1')
+    const next = advancePacket(bonus, packet)
+    expect(next).toMatchObject({ index: 1, stage: 'tossup' })
+  })
+
+  it('skips bonuses the packet does not have', () => {
+    const progress = createPacketProgress('Set', 1)
+    const next = advancePacket(progress, { tossups: packet.tossups, bonuses: [] })
+    expect(next).toMatchObject({ index: 1, stage: 'tossup' })
+  })
+
+  it('finishes after the last bonus', () => {
+    const last = { ...createPacketProgress('Set', 1), index: 1, stage: 'bonus' }
+    const done = advancePacket(last, packet)
+    expect(done.stage).toBe('done')
+    expect(currentPacketQuestion(done, packet)).toBeNull()
+  })
+
+  it('clears the answered flag', () => {
+    const answered = recordPacketTossup(createPacketProgress('Set', 1), 10)
+    expect(advancePacket(answered, packet).answered).toBe(false)
+  })
+})
+
+describe('recording scores', () => {
+  it('adds tossup and bonus points to the running score', () => {
+    let progress = recordPacketTossup(createPacketProgress('Set', 1), 15)
+    progress = recordPacketBonus(advancePacket(progress, packet), 20)
+    expect(progress).toMatchObject({ tossupPoints: 15, tossupsHeard: 1, bonusPoints: 20, bonusesHeard: 1 })
+  })
+
+  it('ignores a second result for the same question', () => {
+    const once = recordPacketTossup(createPacketProgress('Set', 1), 10)
+    expect(recordPacketTossup(once, 10)).toBe(once)
+  })
+
+  it('ignores a result for the wrong stage', () => {
+    const progress = createPacketProgress('Set', 1)
+    expect(recordPacketBonus(progress, 30)).toBe(progress)
+  })
+})
+
+describe('packet progress storage', () => {
+  beforeEach(() => localStorage.clear())
+
+  it('returns null when nothing is stored', () => {
+    expect(loadPacketProgress()).toBeNull()
+  })
+
+  it('round-trips saved progress', () => {
+    const progress = recordPacketTossup(createPacketProgress('Set', 3), 10)
+    savePacketProgress(progress)
+    expect(loadPacketProgress()).toEqual(progress)
+  })
+
+  it('clears progress once the packet is done', () => {
+    savePacketProgress(createPacketProgress('Set', 3))
+    savePacketProgress({ ...createPacketProgress('Set', 3), stage: 'done' })
+    expect(loadPacketProgress()).toBeNull()
+  })
+
+  it('ignores corrupt stored data', () => {
+    localStorage.setItem('qb_packet_progress', '{not json')
+    expect(loadPacketProgress()).toBeNull()
+  })
+})
@@ -0,0 +1,102 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createPrefetchQueue, createListSource } from '../../api/prefetch'
+
+// Fake API: returns `number` numbered questions tagged with the filters used
+function fakeFetcher() {
+  let counter = 0
+  return vi.fn(async (opts) => Array.from({ length: opts.number }, () => ({
+    id: counter++,
+    categories: opts.categories,
+  })))
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0))
+
+describe('createPrefetchQueue', () => {
+  it('requests a batch using the number option', async () => {
+    const fetchMany = fakeFetcher()
+    const queue = createPrefetchQueue(fetchMany, { batchSize: 4 })
+    await queue.next({ categories: ['Science'] })
+    expect(fetchMany).toHaveBeenCalledWith({ categories: ['Science'], number: 4 })
+  })
+
+  it('serves buffered questions without another request', async () => {
+    const fetchMany = fakeFetcher()
+    const queue = createPrefetchQueue(fetchMany, { batchSize: 5, refillAt: 1 })
+    const first = await queue.next({})
+    const second = await queue.next({})
+    expect(first.id).toBe(0)
+    expect(second.id).toBe(1)
+    expect(fetchMany).toHaveBeenCalledTimes(1)
+  })
+
+  it('refills in the background when running low', async () => {
+    const fetchMany = fakeFetcher()
+    const queue = createPrefetchQueue(fetchMany, { batchSize: 3, refillAt: 1 })
+    await queue.next({})
+    await queue.next({})
+    expect(fetchMany).toHaveBeenCalledTimes(2)
+    await flush()
+    expect(queue.buffered).toBe(4)
+  })
+
+  it('throws the buffer away when filters change', async () => {
+    const fetchMany = fakeFetcher()
+    const queue = createPrefetchQueue(fetchMany, { batchSize: 3 })
+    await queue.next({ categories: ['Science'] })
+    const question = await queue.next({ categories: ['History'] })
+    expect(question.categories).toEqual(['History'])
+  })
+
+  it('ignores a stale refill that finishes after the filters change', async () => {
+    let resolveStale
+    const fetchMany = vi.fn()
+      .mockImplementationOnce(() => new Promise(resolve => { resolveStale = resolve }))
+      .mockImplementation(async (opts) => [{ categories: opts.categories }])
+    const queue = createPrefetchQueue(fetchMany, { batchSize: 1 })
+    queue.prefetch({ categories: ['Science'] })
+    const question = await queue.next({ categories: ['History'] })
+    resolveStale([{ categories: ['Science'] }])
+    await flush()
+    expect(question.categories).toEqual(['History'])
+    expect(queue.buffered).toBe(1)
+    expect((await queue.next({ categories: ['History'] })).categories).toEqual(['History'])
+  })
+
+  it('waits for the new filters when they change during a refill', async () => {
+    let resolveStale
+    let resolveCurrent
+    const fetchMany = vi.fn()
+      .mockImplementationOnce(() => new Promise(resolve => { resolveStale = resolve }))
+      .mockImplementationOnce(() => new Promise(resolve => { resolveCurrent = resolve }))
+      .mockImplementation(async () => [])
+    const queue = createPrefetchQueue(fetchMany, { batchSize: 1 })
+    const pending = queue.next({ categories: ['Science'] })
+    queue.prefetch({ categories: ['History'] })
+    resolveStale([{ categories: ['Science'] }])
+    await flush()
+    resolveCurrent([{ categories: ['History'] }])
+    expect((await pending).categories).toEqual(['History'])
+  })
+
+  it('returns null when the API has no questions', async () => {
+    const queue = createPrefetchQueue(async () => [])
+    await expect(queue.next({})).resolves.toBeNull()
+  })
+
+  it('propagates errors when nothing is buffered', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const queue = createPrefetchQueue(async () => { throw new Error('offline') })
+    await expect(queue.next({})).rejects.toThrow('offline')
+  })
+})
+
+describe('createListSource', () => {
+  it('serves the list in order, then null', async () => {
+    const source = createListSource([{ id: 1 }, { id: 2 }])
+    expect((await source.next()).id).toBe(1)
+    expect((await source.next()).id).toBe(2)
+    expect(await source.next()).toBeNull()
+    expect(await source.next()).toBeNull()
+  })
+})
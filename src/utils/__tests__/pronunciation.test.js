@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest'
+import { findPronunciationGuides, cleanGuideWord, planReading } from '../pronunciation'
+import { findPowerIndex } from '../tossup'
+
+const split = (text) => text.split(/\s+/)
+
+describe('findPronunciationGuides', () => {
+  it('finds a quoted guide after a name', () => {
+    expect(findPronunciationGuides(split('This man, Tycho ("TEE-koh") Brahe, observed'))).toEqual([
+      { nameStart: 2, start: 3, end: 3 },
+    ])
+  })
+
+  it('takes one capitalized name word per guide word', () => {
+    expect(findPronunciationGuides(split('astronomer Tycho Brahe ("TEE-koh BRAH-hee") observed'))).toEqual([
+      { nameStart: 1, start: 3, end: 4 },
+    ])
+  })
+
+  it('stops the name at lowercase or punctuated words', () => {
+    expect(findPronunciationGuides(split('the philosopher Jean-Jacques ("ZHAHN zhahk") wrote'))).toEqual([
+      { nameStart: 2, start: 3, end: 4 },
+    ])
+  })
+
+  it('accepts bracketed and unquoted capitalized respellings', () => {
+    expect(findPronunciationGuides(split('Nguyen [NWIN] and Xochitl (SO-cheel) met'))).toEqual([
+      { nameStart: 3, start: 4, end: 4 },
+    ])
+    expect(findPronunciationGuides(split('Nguyen ["NWIN"] met'))).toEqual([
+      { nameStart: 0, start: 1, end: 1 },
+    ])
+  })
+
+  it('ignores power marks, translations and other parentheticals', () => {
+    expect(findPronunciationGuides(split('this opera (*) Der Rosenkavalier ("The Knight of the Rose") premiered (in 1911)'))).toEqual([])
+    expect(findPronunciationGuides(split('the USSR (USSR) and (ca. 1500)'))).toEqual([])
+    expect(findPronunciationGuides(split('the god Agni ("fire") and Soma ("pressed juice")'))).toEqual([])
+  })
+
+  it('skips a power mark between the name and its guide', () => {
+    expect(findPronunciationGuides(split('Brahe (*) ("BRAH-hee") observed'))).toEqual([
+      { nameStart: 0, start: 2, end: 2 },
+    ])
+  })
+
+  it('ignores unclosed brackets', () => {
+    expect(findPronunciationGuides(split('Brahe ("BRAH-hee observed a supernova'))).toEqual([])
+  })
+})
+
+describe('cleanGuideWord', () => {
+  it('removes brackets and quotes but keeps punctuation', () => {
+    expect(cleanGuideWord('("TEE-koh')).toBe('TEE-koh')
+    expect(cleanGuideWord('BRAH-hee"),')).toBe('BRAH-hee,')
+    expect(cleanGuideWord("['zhahn']")).toBe('zhahn')
+  })
+})
+
+describe('planReading', () => {
+  const words = split('Tycho ("TEE-koh") observed (*) a supernova.')
+
+  it('reads the guide instead of the name', () => {
+    const plan = planReading(words, 'guide')
+    expect(plan.spoken).toEqual(['TEE-koh', 'observed', 'a', 'supernova.'])
+    // The name appears with its guide; the power mark with the word before it
+    expect(plan.spokenMap).toEqual([0, 0, 1, 1, 2, 3])
+  })
+
+  it('skips the guide', () => {
+    const plan = planReading(words, 'skip')
+    expect(plan.spoken).toEqual(['Tycho', 'observed', 'a', 'supernova.'])
+    expect(plan.spokenMap).toEqual([0, 0, 1, 1, 2, 3])
+  })
+
+  it('reads both', () => {
+    const plan = planReading(words, 'both')
+    expect(plan.spoken).toEqual(['Tycho', 'TEE-koh', 'observed', 'a', 'supernova.'])
+    expect(plan.spokenMap).toEqual([0, 1, 2, 2, 3, 4])
+  })
+
+  it('defaults to reading the guide', () => {
+    expect(planReading(words).spoken[0]).toBe('TEE-koh')
+  })
+
+  it('converts the power mark to the spoken index of the next word in every mode', () => {
+    const mark = findPowerIndex(words)
+    for (const mode of ['guide', 'skip']) {
+      const plan = planReading(words, mode)
+      expect(plan.spoken[plan.starts[mark]]).toBe('a')
+    }
+    const both = planReading(words, 'both')
+    expect(both.spoken[both.starts[mark]]).toBe('a')
+  })
+
+  it('matches plain marker stripping when there are no guides', () => {
+    const plain = split('(+) For ten points, (*) name this composer.')
+    const plan = planReading(plain, 'guide')
+    expect(plan.spoken).toEqual(['For', 'ten', 'points,', 'name', 'this', 'composer.'])
+    expect(plan.spokenMap).toEqual([-1, 0, 1, 2, 2, 3, 4, 5])
+    expect(plan.starts[findPowerIndex(plain)]).toBe(3)
+  })
+
+  it('handles a multi-word name read as a multi-word guide', () => {
+    const plan = planReading(split('Tycho Brahe ("TEE-koh BRAH-hee") observed'), 'guide')
+    expect(plan.spoken).toEqual(['TEE-koh', 'BRAH-hee', 'observed'])
+    expect(plan.spokenMap).toEqual([0, 0, 0, 1, 2])
+  })
+})
@@ -1,5 +1,19 @@
-import { describe, it, expect } from 'vitest'
-import { normalizeAnswer, cleanParams } from '../../api/qbreader'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import axios from 'axios'
+import {
+  normalizeAnswer, cleanParams, checkAnswer, getRandomTossup, getTossupById, getBonusById, isNetworkError,
+} from '../../api/qbreader'
+import { cacheQuestions, getCachedQuestions, getCachedQuestion } from '../../api/cache'
+import { answerlineFor } from '../judge'
+
+vi.mock('axios', () => ({ default: vi.fn() }))
+vi.mock('../../api/cache', () => ({
+  cacheQuestions: vi.fn(async () => {}),
+  getCachedQuestions: vi.fn(async () => []),
+  getCachedQuestion: vi.fn(async () => null),
+  cachePacket: vi.fn(async () => {}),
+  getCachedPacket: vi.fn(async () => null),
+}))
 
 describe('normalizeAnswer', () => {
   it('converts "-1" to "negative 1"', () => {
@@ -61,3 +75,152 @@ describe('cleanParams', () => {
     expect(cleanParams({})).toEqual({})
   })
 })
+
+describe('checkAnswer', () => {
+  beforeEach(() => {
+    axios.mockReset()
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  it('returns the API result when the request succeeds', async () => {
+    axios.mockResolvedValue({ data: { directive: 'prompt', directedPrompt: 'be more specific' } })
+    await expect(checkAnswer('organelle', 'Mitochondria')).resolves.toEqual({
+      directive: 'prompt', directedPrompt: 'be more specific',
+    })
+  })
+
+  it('falls back to the local judge when the request fails', async () => {
+    axios.mockRejectedValue(new Error('Network Error'))
+    await expect(checkAnswer('mitochondria', 'Mitochondria')).resolves.toEqual({
+      directive: 'accept', directedPrompt: null,
+    })
+  })
+
+  it('skips the API when judging offline', async () => {
+    await expect(checkAnswer('nucleus', 'Mitochondria', { offline: true })).resolves.toEqual({
+      directive: 'reject', directedPrompt: null,
+    })
+    expect(axios).not.toHaveBeenCalled()
+  })
+
+  it('accepts the required part of a formatted answerline offline', async () => {
+    const tossup = {
+      answer: 'Jean-Paul <b><u>Sartre</u></b> [accept <b><u>J.P. Sartre</u></b>]',
+      answer_sanitized: 'Jean-Paul Sartre [accept J.P. Sartre]',
+    }
+    await expect(checkAnswer('Sartre', answerlineFor(tossup), { offline: true })).resolves.toEqual({
+      directive: 'accept', directedPrompt: null,
+    })
+    const bonus = {
+      answers: ['<b><u>Bastille</u></b> Day', 'Louis <b><u>XVI</u></b>'],
+      answers_sanitized: ['Bastille Day', 'Louis XVI'],
+    }
+    await expect(checkAnswer('Bastille', answerlineFor(bonus, 0), { offline: true })).resolves.toEqual({
+      directive: 'accept', directedPrompt: null,
+    })
+  })
+})
+
+describe('isNetworkError', () => {
+  it('is true when there was no response', () => {
+    expect(isNetworkError(new Error('Network Error'))).toBe(true)
+  })
+
+  it('is false for error responses', () => {
+    expect(isNetworkError(Object.assign(new Error('Bad Request'), { response: { status: 400 } }))).toBe(false)
+  })
+})
+
+describe('getRandomTossup', () => {
+  const cached = [
+    { _id: 'a', category: 'Science', difficulty: 3 },
+    { _id: 'b', category: 'History', difficulty: 3 },
+  ]
+
+  beforeEach(() => {
+    axios.mockReset()
+    getCachedQuestions.mockReset()
+    getCachedQuestions.mockResolvedValue(cached)
+  })
+
+  it('returns tossups from the API', async () => {
+    axios.mockResolvedValue({ data: { tossups: [{ _id: 'x' }] } })
+    await expect(getRandomTossup()).resolves.toEqual([{ _id: 'x' }])
+  })
+
+  it('serves matching cached tossups when the API is unreachable', async () => {
+    axios.mockRejectedValue(new Error('Network Error'))
+    await expect(getRandomTossup({ categories: ['History'] })).resolves.toEqual([cached[1]])
+  })
+
+  it('rethrows when the API is unreachable and nothing is cached', async () => {
+    axios.mockRejectedValue(new Error('Network Error'))
+    getCachedQuestions.mockResolvedValue([])
+    await expect(getRandomTossup()).rejects.toThrow('Network Error')
+  })
+
+  it('rethrows error responses instead of using the cache', async () => {
+    axios.mockRejectedValue(Object.assign(new Error('Bad Request'), { response: { status: 400 } }))
+    await expect(getRandomTossup()).rejects.toThrow('Bad Request')
+  })
+
+  it('reads only from the cache in offline mode', async () => {
+    await expect(getRandomTossup({ offline: true, categories: ['Science'] })).resolves.toEqual([cached[0]])
+    expect(axios).not.toHaveBeenCalled()
+  })
+})
+
+describe('getTossupById', () => {
+  beforeEach(() => {
+    axios.mockReset()
+    cacheQuestions.mockClear()
+    getCachedQuestion.mockReset()
+    getCachedQuestion.mockResolvedValue(null)
+  })
+
+  it('requests the tossup by id and caches it', async () => {
+    axios.mockResolvedValue({ data: { tossup: { _id: 'abc' } } })
+    await expect(getTossupById('abc')).resolves.toEqual({ _id: 'abc' })
+    expect(axios.mock.calls[0][0].url).toMatch(/\/tossup-by-id$/)
+    expect(axios.mock.calls[0][0].params).toEqual({ id: 'abc' })
+    expect(cacheQuestions).toHaveBeenCalledWith('tossups', [{ _id: 'abc' }])
+  })
+
+  it('serves the cached tossup when the API is unreachable', async () => {
+    axios.mockRejectedValue(new Error('Network Error'))
+    getCachedQuestion.mockResolvedValue({ _id: 'abc', cached: true })
+    await expect(getTossupById('abc')).resolves.toEqual({ _id: 'abc', cached: true })
+    expect(getCachedQuestion).toHaveBeenCalledWith('tossups', 'abc')
+  })
+
+  it('rethrows when the API is unreachable and the tossup is not cached', async () => {
+    axios.mockRejectedValue(new Error('Network Error'))
+    await expect(getTossupById('abc')).rejects.toThrow('Network Error')
+  })
+
+  it('rethrows error responses such as an unknown id', async () => {
+    axios.mockRejectedValue(Object.assign(new Error('Bad Request'), { response: { status: 400 } }))
+    await expect(getTossupById('nope')).rejects.toThrow('Bad Request')
+    expect(getCachedQuestion).not.toHaveBeenCalled()
+  })
+})
+
+describe('getBonusById', () => {
+  beforeEach(() => {
+    axios.mockReset()
+    getCachedQuestion.mockReset()
+  })
+
+  it('requests the bonus by id', async () => {
+    axios.mockResolvedValue({ data: { bonus: { _id: 'b1' } } })
+    await expect(getBonusById('b1')).resolves.toEqual({ _id: 'b1' })
+    expect(axios.mock.calls[0][0].url).toMatch(/\/bonus-by-id$/)
+  })
+
+  it('falls back to the bonus cache', async () => {
+    axios.mockRejectedValue(new Error('Network Error'))
+    getCachedQuestion.mockResolvedValue({ _id: 'b1' })
+    await expect(getBonusById('b1')).resolves.toEqual({ _id: 'b1' })
+    expect(getCachedQuestion).toHaveBeenCalledWith('bonuses', 'b1')
+  })
+})
@@ -0,0 +1,91 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { createTimerEngine, createReaderEngine, MIN_WPM, MAX_WPM } from '../readers'
+
+describe('createTimerEngine', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('reports word boundaries and reads silently', () => {
+    const engine = createTimerEngine()
+    expect(engine.id).toBe('silent')
+    expect(engine.boundaries).toBe(true)
+    expect(engine.getVoices()).toEqual([])
+  })
+
+  it('reveals one word per beat at the given pace', () => {
+    const engine = createTimerEngine()
+    const onStart = vi.fn()
+    const onBoundary = vi.fn()
+    const onEnd = vi.fn()
+    // 300 wpm = 200ms per word
+    engine.speak('The quick fox', { wpm: 300, onStart, onBoundary, onEnd })
+
+    vi.advanceTimersByTime(0)
+    expect(onStart).toHaveBeenCalledTimes(1)
+    expect(onBoundary.mock.calls).toEqual([[0]])
+
+    vi.advanceTimersByTime(200)
+    expect(onBoundary.mock.calls).toEqual([[0], [4]])
+
+    vi.advanceTimersByTime(200)
+    expect(onBoundary.mock.calls).toEqual([[0], [4], [10]])
+    expect(onEnd).not.toHaveBeenCalled()
+
+    vi.advanceTimersByTime(200)
+    expect(onEnd).toHaveBeenCalledTimes(1)
+  })
+
+  it('stops all callbacks on cancel', () => {
+    const engine = createTimerEngine()
+    const onBoundary = vi.fn()
+    const onEnd = vi.fn()
+    engine.speak('one two three', { wpm: 300, onBoundary, onEnd })
+    vi.advanceTimersByTime(250)
+    engine.cancel()
+    vi.advanceTimersByTime(10000)
+    expect(onBoundary).toHaveBeenCalledTimes(2)
+    expect(onEnd).not.toHaveBeenCalled()
+  })
+
+  it('replaces whatever it was reading when asked to speak again', () => {
+    const engine = createTimerEngine()
+    const first = vi.fn()
+    const second = vi.fn()
+    engine.speak('one two', { wpm: 300, onEnd: first })
+    engine.speak('three', { wpm: 300, onEnd: second })
+    vi.advanceTimersByTime(10000)
+    expect(first).not.toHaveBeenCalled()
+    expect(second).toHaveBeenCalledTimes(1)
+  })
+
+  it('clamps the pace', () => {
+    const engine = createTimerEngine()
+    const onEnd = vi.fn()
+    engine.speak('word', { wpm: 100000, onEnd })
+    vi.advanceTimersByTime(60000 / MAX_WPM - 1)
+    expect(onEnd).not.toHaveBeenCalled()
+    vi.advanceTimersByTime(1)
+    expect(onEnd).toHaveBeenCalled()
+
+    const slow = vi.fn()
+    engine.speak('word', { wpm: 1, onEnd: slow })
+    vi.advanceTimersByTime(60000 / MIN_WPM)
+    expect(slow).toHaveBeenCalled()
+  })
+})
+
+describe('createReaderEngine', () => {
+  it('uses the silent reader when asked', () => {
+    expect(createReaderEngine('silent').id).toBe('silent')
+  })
+
+  it('falls back to the silent reader without speech synthesis', () => {
+    // jsdom has no speechSynthesis
+    expect(createReaderEngine('speech').id).toBe('silent')
+  })
+})
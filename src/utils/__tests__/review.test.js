@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest'
+import {
+  reviewCardId, createReviewCard, scheduleReview, tossupQuality, bonusQuality, dueCards, MIN_EASE,
+} from '../review'
+
+const DAY = 24 * 60 * 60 * 1000
+const tossup = { _id: 'abc', category: 'Science' }
+
+describe('createReviewCard', () => {
+  it('creates a card due now with default ease', () => {
+    const card = createReviewCard('tossup', tossup, 1000)
+    expect(card).toMatchObject({
+      id: 'tossup:abc', type: 'tossup', category: 'Science',
+      ease: 2.5, interval: 0, repetitions: 0, lapses: 0, due: 1000,
+    })
+    expect(card.question).toBe(tossup)
+  })
+
+  it('keeps tossup and bonus ids apart', () => {
+    expect(reviewCardId('tossup', tossup)).not.toBe(reviewCardId('bonus', tossup))
+  })
+})
+
+describe('scheduleReview', () => {
+  it('uses 1 and 6 day intervals for the first two passes', () => {
+    const first = scheduleReview(createReviewCard('tossup', tossup, 0), 4, 0)
+    expect(first).toMatchObject({ interval: 1, repetitions: 1, due: DAY, lastReviewed: 0 })
+    const second = scheduleReview(first, 4, DAY)
+    expect(second).toMatchObject({ interval: 6, repetitions: 2, due: 7 * DAY })
+  })
+
+  it('multiplies the interval by the ease after that', () => {
+    const card = { ...createReviewCard('tossup', tossup, 0), interval: 6, repetitions: 2, ease: 2.5 }
+    const next = scheduleReview(card, 5, 0)
+    expect(next.ease).toBeCloseTo(2.6)
+    expect(next.interval).toBe(16)
+  })
+
+  it('resets on a lapse and lowers the ease', () => {
+    const card = { ...createReviewCard('tossup', tossup, 0), interval: 15, repetitions: 3, ease: 2.5 }
+    const next = scheduleReview(card, 1, 0)
+    expect(next).toMatchObject({ interval: 1, repetitions: 0, lapses: 1, due: DAY })
+    expect(next.ease).toBeCloseTo(1.96)
+  })
+
+  it('never drops the ease below the minimum', () => {
+    let card = createReviewCard('tossup', tossup, 0)
+    for (let i = 0; i < 10; i++) card = scheduleReview(card, 0, 0)
+    expect(card.ease).toBe(MIN_EASE)
+  })
+})
+
+describe('tossupQuality', () => {
+  it('grades correct answers by how they were earned', () => {
+    expect(tossupQuality({ directive: 'accept', power: true })).toBe(5)
+    expect(tossupQuality({ directive: 'accept' })).toBe(4)
+    expect(tossupQuality({ directive: 'accept', power: true, prompted: true })).toBe(3)
+  })
+
+  it('fails negs and dead tossups', () => {
+    expect(tossupQuality({ directive: 'reject' })).toBe(1)
+    expect(tossupQuality({ directive: 'reject', buzzed: false })).toBe(0)
+  })
+})
+
+describe('bonusQuality', () => {
+  it('passes only a fully answered bonus', () => {
+    expect(bonusQuality([{ correct: true }, { correct: true }, { correct: true }])).toBe(4)
+    expect(bonusQuality([{ correct: true }, { correct: false }, { correct: true }])).toBe(2)
+    expect(bonusQuality([{ correct: false }, { correct: false }, { correct: false }])).toBe(0)
+  })
+})
+
+describe('dueCards', () => {
+  it('returns due cards, most overdue first', () => {
+    const cards = [
+      { id: 'a', due: 50 },
+      { id: 'b', due: 200 },
+      { id: 'c', due: 10 },
+    ]
+    expect(dueCards(cards, 100).map(c => c.id)).toEqual(['c', 'a'])
+  })
+})
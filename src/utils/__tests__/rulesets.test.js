@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  RULESETS, DEFAULT_RULESET, normalizeRuleset, createCustomRuleset,
+  loadCustomRulesets, saveCustomRulesets,
+} from '../rulesets'
+
+describe('RULESETS', () => {
+  it('includes the ACF, NAQT IS and no-negs presets', () => {
+    expect(RULESETS.map(r => r.id)).toEqual(expect.arrayContaining(['acf', 'naqt-is', 'no-negs']))
+  })
+
+  it('gives every preset a unique id', () => {
+    expect(new Set(RULESETS.map(r => r.id)).size).toBe(RULESETS.length)
+  })
+
+  it('defaults to the original scoring, negging wrong answers after the question ends', () => {
+    expect(DEFAULT_RULESET).toMatchObject({ id: 'standard', power: 15, correct: 10, neg: -5, negAfterEnd: true })
+  })
+
+  it('negs only interrupts under ACF and NAQT IS', () => {
+    expect(RULESETS.find(r => r.id === 'acf').negAfterEnd).toBe(false)
+    expect(RULESETS.find(r => r.id === 'naqt-is').negAfterEnd).toBe(false)
+  })
+})
+
+describe('normalizeRuleset', () => {
+  it('parses numeric strings', () => {
+    expect(normalizeRuleset({ power: '20', correct: '10', neg: '-5', bonusPart: '10' })).toMatchObject({
+      power: 20, correct: 10, neg: -5, bonusPart: 10,
+    })
+  })
+
+  it('treats a blank power as no powers', () => {
+    expect(normalizeRuleset({ power: '' }).power).toBeNull()
+  })
+
+  it('treats a blank superpower as no superpowers', () => {
+    expect(normalizeRuleset({ superpower: '' }).superpower).toBeNull()
+    expect(normalizeRuleset({ superpower: '20' }).superpower).toBe(20)
+  })
+
+  it('always stores negs as non-positive', () => {
+    expect(normalizeRuleset({ neg: 5 }).neg).toBe(-5)
+    expect(normalizeRuleset({ neg: 0 }).neg).toBe(0)
+  })
+
+  it('falls back to defaults for invalid numbers', () => {
+    expect(normalizeRuleset({ correct: 'abc', bonusPart: undefined })).toMatchObject({
+      correct: 10, bonusPart: 10,
+    })
+  })
+
+  it('coerces negAfterEnd to a boolean', () => {
+    expect(normalizeRuleset({}).negAfterEnd).toBe(false)
+  })
+})
+
+describe('createCustomRuleset', () => {
+  it('copies the base values under a new id and name', () => {
+    const custom = createCustomRuleset(DEFAULT_RULESET, 'League')
+    expect(custom).toMatchObject({ name: 'League', power: 15, correct: 10, neg: -5, custom: true })
+    expect(custom.id).toMatch(/^custom-/)
+  })
+})
+
+describe('custom ruleset storage', () => {
+  beforeEach(() => localStorage.clear())
+
+  it('returns an empty list when nothing is stored', () => {
+    expect(loadCustomRulesets()).toEqual([])
+  })
+
+  it('round-trips saved rulesets', () => {
+    const custom = createCustomRuleset(DEFAULT_RULESET, 'League')
+    saveCustomRulesets([custom])
+    expect(loadCustomRulesets()).toEqual([custom])
+  })
+
+  it('ignores corrupt stored data', () => {
+    localStorage.setItem('qb_rulesets', '{not json')
+    expect(loadCustomRulesets()).toEqual([])
+  })
+})
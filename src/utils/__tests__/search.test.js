@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest'
+import { escapeHtml, searchTerms, highlightHtml } from '../search'
+
+describe('escapeHtml', () => {
+  it('escapes markup characters', () => {
+    expect(escapeHtml('<b>"A" & \'B\'</b>')).toBe('&lt;b&gt;&quot;A&quot; &amp; &#39;B&#39;&lt;/b&gt;')
+  })
+})
+
+describe('searchTerms', () => {
+  it('splits on whitespace and lowercases', () => {
+    expect(searchTerms('  Mahler  Symphony ')).toEqual(['mahler', 'symphony'])
+  })
+
+  it('keeps quoted phrases together', () => {
+    expect(searchTerms('"das lied" mahler')).toEqual(['das lied', 'mahler'])
+  })
+
+  it('drops duplicates and handles an empty query', () => {
+    expect(searchTerms('bach Bach')).toEqual(['bach'])
+    expect(searchTerms('')).toEqual([])
+  })
+})
+
+describe('highlightHtml', () => {
+  it('marks matches case-insensitively', () => {
+    expect(highlightHtml('Gustav Mahler wrote', ['mahler'])).toBe('Gustav <mark>Mahler</mark> wrote')
+  })
+
+  it('leaves tags untouched', () => {
+    expect(highlightHtml('<b><u>Bold</u></b> text', ['b', 'u']))
+      .toBe('<b><u><mark>B</mark>old</u></b> text')
+  })
+
+  it('prefers the longest overlapping term', () => {
+    expect(highlightHtml('Symphony', ['sym', 'symphony'])).toBe('<mark>Symphony</mark>')
+  })
+
+  it('treats regex characters literally', () => {
+    expect(highlightHtml('C++ and C', ['c++'])).toBe('<mark>C++</mark> and C')
+  })
+
+  it('does not break up HTML entities', () => {
+    expect(highlightHtml(escapeHtml('Tom & Jerry'), ['amp', 'tom'])).toBe('<mark>Tom</mark> &amp; Jerry')
+  })
+
+  it('returns the input when there are no terms', () => {
+    expect(highlightHtml('text', [])).toBe('text')
+  })
+})
@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  DEFAULT_SETTINGS, normalizeSettings, loadSettings, saveSettings,
+  createPreset, applyPreset, loadPresets, savePresets, exportPresets, parsePresets,
+  hasSettingsParams, settingsToParams, settingsFromParams,
+} from '../settings'
+
+describe('normalizeSettings', () => {
+  it('fills in missing defaults', () => {
+    expect(normalizeSettings({ rate: 1.5 })).toEqual({ ...DEFAULT_SETTINGS, rate: 1.5 })
+  })
+
+  it('drops unknown keys', () => {
+    expect(normalizeSettings({ bogus: true })).not.toHaveProperty('bogus')
+  })
+
+  it('returns defaults for non-objects', () => {
+    expect(normalizeSettings(null)).toEqual(DEFAULT_SETTINGS)
+  })
+})
+
+describe('settings storage', () => {
+  beforeEach(() => localStorage.clear())
+
+  it('returns defaults when nothing is stored', () => {
+    expect(loadSettings()).toEqual(DEFAULT_SETTINGS)
+  })
+
+  it('round-trips saved settings', () => {
+    const settings = { ...DEFAULT_SETTINGS, categories: ['Science'], buzzTimer: 8 }
+    saveSettings(settings)
+    expect(loadSettings()).toEqual(settings)
+  })
+
+  it('ignores corrupt stored data', () => {
+    localStorage.setItem('qb_settings', '{not json')
+    expect(loadSettings()).toEqual(DEFAULT_SETTINGS)
+  })
+})
+
+describe('presets', () => {
+  beforeEach(() => localStorage.clear())
+
+  it('snapshots settings without device-specific ones', () => {
+    const preset = createPreset(' Open lit ', { ...DEFAULT_SETTINGS, categories: ['Literature'], voiceURI: 'x' })
+    expect(preset.name).toBe('Open lit')
+    expect(preset.settings.categories).toEqual(['Literature'])
+    expect(preset.settings).not.toHaveProperty('voiceURI')
+  })
+
+  it('applies a preset but keeps the current voice', () => {
+    const preset = createPreset('Lit', { ...DEFAULT_SETTINGS, categories: ['Literature'] })
+    const next = applyPreset({ ...DEFAULT_SETTINGS, voiceURI: 'mine', rate: 2 }, preset)
+    expect(next).toMatchObject({ categories: ['Literature'], voiceURI: 'mine', rate: 1 })
+  })
+
+  it('round-trips saved presets', () => {
+    const presets = [createPreset('A', DEFAULT_SETTINGS)]
+    savePresets(presets)
+    expect(loadPresets()).toEqual(presets)
+  })
+
+  it('imports what it exports, with fresh ids', () => {
+    const presets = [createPreset('HS nationals drill', { ...DEFAULT_SETTINGS, difficulties: [4] })]
+    const imported = parsePresets(exportPresets(presets))
+    expect(imported).toHaveLength(1)
+    expect(imported[0]).toMatchObject({ name: 'HS nationals drill', settings: presets[0].settings })
+    expect(imported[0].id).not.toBe(presets[0].id)
+  })
+
+  it('accepts a bare array', () => {
+    expect(parsePresets(JSON.stringify([{ name: 'A', settings: {} }]))).toHaveLength(1)
+  })
+
+  it('rejects invalid files', () => {
+    expect(() => parsePresets('{oops')).toThrow('Not a valid JSON file')
+    expect(() => parsePresets('{"presets": []}')).toThrow('No presets found')
+    expect(() => parsePresets('[{"name": 1}]')).toThrow('No presets found')
+  })
+})
+
+describe('settings in query parameters', () => {
+  const drill = {
+    ...DEFAULT_SETTINGS,
+    categories: ['Science', 'Fine Arts'],
+    subcategories: ['Biology'],
+    difficulties: [3, 4],
+    minYear: 2015,
+    rate: 1.4,
+    buzzTimer: 8,
+  }
+
+  it('writes only non-default settings', () => {
+    const params = settingsToParams(drill)
+    expect(params.get('cat')).toBe('Science,Fine Arts')
+    expect(params.get('subcat')).toBe('Biology')
+    expect(params.get('diff')).toBe('3,4')
+    expect(params.get('minYear')).toBe('2015')
+    expect(params.get('rate')).toBe('1.4')
+    expect(params.get('buzz')).toBe('8')
+    expect(params.has('maxYear')).toBe(false)
+    expect(params.has('answer')).toBe(false)
+  })
+
+  it('round-trips through the query string', () => {
+    const params = new URLSearchParams(settingsToParams(drill).toString())
+    expect(settingsFromParams(params, DEFAULT_SETTINGS)).toEqual(drill)
+  })
+
+  it('resets settings the link leaves out to their default', () => {
+    const mine = { ...DEFAULT_SETTINGS, categories: ['History'], buzzTimer: 12, difficulties: [7] }
+    const params = new URLSearchParams('diff=3')
+    expect(settingsFromParams(params, mine)).toMatchObject({
+      categories: DEFAULT_SETTINGS.categories,
+      buzzTimer: DEFAULT_SETTINGS.buzzTimer,
+      difficulties: [3],
+    })
+    expect(settingsFromParams(new URLSearchParams('ref=coach'), mine)).toEqual(mine)
+  })
+
+  it('keeps unrelated parameters and clears defaulted ones', () => {
+    const params = settingsToParams(DEFAULT_SETTINGS, new URLSearchParams('ref=coach&cat=Science'))
+    expect(params.toString()).toBe('ref=coach')
+  })
+
+  it('ignores malformed values and clamps out-of-range ones', () => {
+    const params = new URLSearchParams('rate=fast&buzz=99&diff=3,x,5')
+    expect(settingsFromParams(params, DEFAULT_SETTINGS)).toMatchObject({
+      rate: DEFAULT_SETTINGS.rate, buzzTimer: 30, difficulties: [3, 5],
+    })
+  })
+
+  it('detects settings parameters', () => {
+    expect(hasSettingsParams(new URLSearchParams('cat=Science'))).toBe(true)
+    expect(hasSettingsParams(new URLSearchParams('ref=coach'))).toBe(false)
+  })
+})
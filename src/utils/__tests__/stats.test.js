@@ -0,0 +1,170 @@
+import { describe, it, expect } from 'vitest'
+import { tossupTier, isPower, isSuperpower, isNeg, summarizeTossups, isThirty, summarizeBonuses, groupStats } from '../stats'
+
+const tu = (overrides) => ({
+  type: 'tossup', category: 'Science', subcategory: 'Biology',
+  buzzIndex: 10, powerIndex: 20, directive: 'accept', points: 10,
+  ...overrides,
+})
+
+const bonus = (partPoints, overrides) => ({
+  type: 'bonus', category: 'History', subcategory: 'World History',
+  parts: partPoints.map(points => ({ points, directive: points > 0 ? 'accept' : 'reject' })),
+  points: partPoints.reduce((a, b) => a + b, 0),
+  ...overrides,
+})
+
+describe('tossupTier', () => {
+  it('uses the tier saved with the record', () => {
+    expect(tossupTier(tu({ buzzIndex: 5, tier: 'power', points: 15 }))).toBe('power')
+    expect(tossupTier(tu({ buzzIndex: 1, superpowerIndex: 3, tier: 'superpower', points: 20 }))).toBe('superpower')
+  })
+
+  it('does not count an early buzz as a power when the ruleset had none', () => {
+    expect(tossupTier(tu({ buzzIndex: 5, powerIndex: 20, tier: 'correct', points: 10 }))).toBe('correct')
+  })
+
+  it('judges older records by their points', () => {
+    expect(tossupTier(tu({ buzzIndex: 5, points: 15 }))).toBe('power')
+    expect(tossupTier(tu({ buzzIndex: 5, points: 10 }))).toBe('correct')
+    expect(tossupTier(tu({ buzzIndex: 1, superpowerIndex: 3, points: 20 }))).toBe('superpower')
+  })
+
+  it('is null for wrong answers and no buzz', () => {
+    expect(tossupTier(tu({ buzzIndex: 5, directive: 'reject', points: -5 }))).toBeNull()
+    expect(tossupTier(tu({ buzzIndex: -1, directive: 'reject', points: 0 }))).toBeNull()
+  })
+})
+
+describe('isPower and isSuperpower', () => {
+  it('count powers and superpowers apart', () => {
+    const power = tu({ tier: 'power', points: 15 })
+    const superpower = tu({ tier: 'superpower', points: 20 })
+    expect([isPower(power), isSuperpower(power)]).toEqual([true, false])
+    expect([isPower(superpower), isSuperpower(superpower)]).toEqual([false, true])
+  })
+})
+
+describe('isNeg', () => {
+  it('counts a wrong buzz before the end even when it cost nothing', () => {
+    // Scored under the no-negs ruleset
+    expect(isNeg(tu({ buzzIndex: 8, directive: 'reject', points: 0, afterEnd: false }))).toBe(true)
+  })
+
+  it('does not count a wrong buzz after the end', () => {
+    expect(isNeg(tu({ buzzIndex: 40, directive: 'reject', points: -5, afterEnd: true }))).toBe(false)
+  })
+
+  it('does not count correct answers or no buzz', () => {
+    expect(isNeg(tu({ afterEnd: false }))).toBe(false)
+    expect(isNeg(tu({ buzzIndex: -1, directive: 'reject', points: 0, afterEnd: false, timedOut: 'buzz' }))).toBe(false)
+  })
+
+  it('judges older records by their points', () => {
+    expect(isNeg(tu({ buzzIndex: 8, directive: 'reject', points: -5 }))).toBe(true)
+    expect(isNeg(tu({ buzzIndex: 8, directive: 'reject', points: 0 }))).toBe(false)
+  })
+})
+
+describe('summarizeTossups', () => {
+  it('returns zeros for no records', () => {
+    expect(summarizeTossups([])).toEqual({
+      heard: 0, superpowers: 0, powers: 0, gets: 0, negs: 0, points: 0,
+      superpowersPerTossup: 0, powersPerTossup: 0, getsPerTossup: 0, negsPerTossup: 0, avgBuzz: null,
+    })
+  })
+
+  it('counts powers, gets and negs per tossup heard', () => {
+    const summary = summarizeTossups([
+      tu({ buzzIndex: 4, points: 15 }),
+      tu({ buzzIndex: 30, points: 10 }),
+      tu({ buzzIndex: 8, directive: 'reject', points: -5 }),
+      tu({ buzzIndex: -1, directive: 'reject', points: 0, timedOut: 'buzz' }),
+    ])
+    expect(summary).toMatchObject({
+      heard: 4, powers: 1, gets: 2, negs: 1, points: 20,
+      powersPerTossup: 0.25, getsPerTossup: 0.5, negsPerTossup: 0.25,
+    })
+  })
+
+  it('counts negs under a no-negs ruleset', () => {
+    const summary = summarizeTossups([
+      tu({ buzzIndex: 8, directive: 'reject', points: 0, afterEnd: false }),
+      tu({ buzzIndex: 12, afterEnd: false }),
+    ])
+    expect(summary).toMatchObject({ negs: 1, negsPerTossup: 0.5, points: 10 })
+  })
+
+  it('counts superpowers separately from powers', () => {
+    const summary = summarizeTossups([
+      tu({ buzzIndex: 1, tier: 'superpower', points: 20 }),
+      tu({ buzzIndex: 4, tier: 'power', points: 15 }),
+      tu({ buzzIndex: 6, tier: 'correct', points: 10 }),
+    ])
+    expect(summary).toMatchObject({ superpowers: 1, powers: 1, gets: 3, superpowersPerTossup: 1 / 3 })
+  })
+
+  it('averages buzz position over correct buzzes only', () => {
+    const summary = summarizeTossups([
+      tu({ buzzIndex: 10 }),
+      tu({ buzzIndex: 30 }),
+      tu({ buzzIndex: 2, directive: 'reject', points: -5 }),
+    ])
+    expect(summary.avgBuzz).toBe(20)
+  })
+})
+
+describe('isThirty', () => {
+  it('is true when every part scored', () => {
+    expect(isThirty(bonus([10, 10, 10]))).toBe(true)
+  })
+
+  it('is false when any part missed', () => {
+    expect(isThirty(bonus([10, 0, 10]))).toBe(false)
+  })
+
+  it('is false with no parts', () => {
+    expect(isThirty(bonus([]))).toBe(false)
+  })
+})
+
+describe('summarizeBonuses', () => {
+  it('returns zeros for no records', () => {
+    expect(summarizeBonuses([])).toEqual({ heard: 0, points: 0, thirties: 0, ppb: 0, thirtyRate: 0 })
+  })
+
+  it('computes PPB and 30 rate', () => {
+    expect(summarizeBonuses([
+      bonus([10, 10, 10]),
+      bonus([10, 0, 0]),
+      bonus([10, 10, 0]),
+      bonus([0, 0, 0]),
+    ])).toEqual({ heard: 4, points: 60, thirties: 1, ppb: 15, thirtyRate: 0.25 })
+  })
+})
+
+describe('groupStats', () => {
+  it('groups by the given key and sorts by name', () => {
+    const rows = groupStats([
+      tu({ category: 'Science' }),
+      bonus([10, 10, 10], { category: 'History' }),
+      tu({ category: 'History', points: 15, buzzIndex: 2 }),
+    ], 'category')
+    expect(rows.map(r => r.name)).toEqual(['History', 'Science'])
+    expect(rows[0].tossups.heard).toBe(1)
+    expect(rows[0].bonuses.heard).toBe(1)
+    expect(rows[1].tossups.heard).toBe(1)
+    expect(rows[1].bonuses.heard).toBe(0)
+  })
+
+  it('keeps the parent category on subcategory rows', () => {
+    const rows = groupStats([tu({ category: 'Science', subcategory: 'Biology' })], 'subcategory')
+    expect(rows).toHaveLength(1)
+    expect(rows[0]).toMatchObject({ name: 'Biology', category: 'Science' })
+  })
+
+  it('groups missing values under Unknown', () => {
+    const rows = groupStats([tu({ subcategory: null })], 'subcategory')
+    expect(rows[0].name).toBe('Unknown')
+  })
+})
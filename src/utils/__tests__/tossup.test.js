@@ -1,5 +1,9 @@
 import { describe, it, expect } from 'vitest'
-import { findPowerIndex, stripPowerMarker, calcTossupPoints, updateTossupScore } from '../tossup'
+import {
+  findPowerIndex, findSuperpowerIndex, stripPowerMarker, spokenIndexMap, splitAtPowerMarks,
+  getBuzzTier, calcTossupPoints, updateTossupScore,
+} from '../tossup'
+import { RULESETS } from '../rulesets'
 
 describe('findPowerIndex', () => {
   it('returns index of word containing (*)', () => {
@@ -27,6 +31,24 @@ describe('findPowerIndex', () => {
   })
 })
 
+describe('findSuperpowerIndex', () => {
+  it('returns index of word containing (+)', () => {
+    expect(findSuperpowerIndex(['The', '(+)', 'answer', '(*)', 'here'])).toBe(1)
+  })
+
+  it('returns index when (+) is embedded in a word', () => {
+    expect(findSuperpowerIndex(['This', 'thing(+)was'])).toBe(1)
+  })
+
+  it('returns -1 when only (*) is present', () => {
+    expect(findSuperpowerIndex(['The', '(*)', 'answer'])).toBe(-1)
+  })
+
+  it('returns -1 for empty array', () => {
+    expect(findSuperpowerIndex([])).toBe(-1)
+  })
+})
+
 describe('stripPowerMarker', () => {
   it('removes (*) from words', () => {
     const words = ['The', '(*)', 'answer']
@@ -51,6 +73,89 @@ describe('stripPowerMarker', () => {
     const words = ['hello', '(*)', 'world']
     expect(stripPowerMarker(words)).toEqual(['hello', 'world'])
   })
+
+  it('removes (+) as well as (*)', () => {
+    const words = ['a', '(+)', 'b', '(*)', 'c']
+    expect(stripPowerMarker(words)).toEqual(['a', 'b', 'c'])
+  })
+
+  it('removes (+) embedded in a word', () => {
+    expect(stripPowerMarker(['before(+)', 'after'])).toEqual(['before', 'after'])
+  })
+
+  it('removes both markers from the same word', () => {
+    expect(stripPowerMarker(['x(+)(*)', 'y'])).toEqual(['x', 'y'])
+  })
+})
+
+describe('spokenIndexMap', () => {
+  it('is the identity with no markers', () => {
+    expect(spokenIndexMap(['a', 'b', 'c'])).toEqual([0, 1, 2])
+  })
+
+  it('maps a marker to the spoken word before it', () => {
+    expect(spokenIndexMap(['a', '(*)', 'b'])).toEqual([0, 0, 1])
+  })
+
+  it('handles both markers', () => {
+    expect(spokenIndexMap(['a', '(+)', 'b', '(*)', 'c'])).toEqual([0, 0, 1, 1, 2])
+  })
+
+  it('maps a leading marker to -1', () => {
+    expect(spokenIndexMap(['(+)', 'a'])).toEqual([-1, 0])
+  })
+
+  it('keeps embedded markers on their word', () => {
+    expect(spokenIndexMap(['a', 'b(*)', 'c'])).toEqual([0, 1, 2])
+  })
+})
+
+describe('splitAtPowerMarks', () => {
+  it('tags text before (*) as power', () => {
+    expect(splitAtPowerMarks('Early clue (*) late clue')).toEqual([
+      { text: 'Early clue ', tier: 'power' },
+      { text: '(*)', tier: 'marker' },
+      { text: ' late clue', tier: null },
+    ])
+  })
+
+  it('tags superpower and power sections separately', () => {
+    expect(splitAtPowerMarks('A (+) B (*) C').map(s => s.tier))
+      .toEqual(['superpower', 'marker', 'power', 'marker', null])
+  })
+
+  it('returns the whole text untagged when there are no markers', () => {
+    expect(splitAtPowerMarks('No powers here')).toEqual([{ text: 'No powers here', tier: null }])
+  })
+})
+
+describe('getBuzzTier', () => {
+  const superpowers = RULESETS.find(r => r.id === 'superpowers')
+
+  it('returns superpower before (+)', () => {
+    expect(getBuzzTier(6, 2, { superpowerIndex: 3, ruleset: superpowers })).toBe('superpower')
+  })
+
+  it('returns power between (+) and (*)', () => {
+    expect(getBuzzTier(6, 4, { superpowerIndex: 3, ruleset: superpowers })).toBe('power')
+  })
+
+  it('returns correct after (*)', () => {
+    expect(getBuzzTier(6, 8, { superpowerIndex: 3, ruleset: superpowers })).toBe('correct')
+  })
+
+  it('returns power before (+) when the ruleset has no superpowers', () => {
+    expect(getBuzzTier(6, 2, { superpowerIndex: 3 })).toBe('power')
+  })
+
+  it('returns superpower with (+) but no (*)', () => {
+    expect(getBuzzTier(-1, 2, { superpowerIndex: 3, ruleset: superpowers })).toBe('superpower')
+    expect(getBuzzTier(-1, 4, { superpowerIndex: 3, ruleset: superpowers })).toBe('correct')
+  })
+
+  it('returns correct with no markers', () => {
+    expect(getBuzzTier(-1, 2, { ruleset: superpowers })).toBe('correct')
+  })
 })
 
 describe('calcTossupPoints', () => {
@@ -81,6 +186,53 @@ describe('calcTossupPoints', () => {
   it('returns 0 for unknown directive', () => {
     expect(calcTossupPoints('unknown', 5, 3)).toBe(0)
   })
+
+  it('still negs after the end when no ruleset options are given', () => {
+    expect(calcTossupPoints('reject', 5, 30)).toBe(-5)
+  })
+
+  it('negs after the end of the question by default', () => {
+    expect(calcTossupPoints('reject', 5, 30, { afterEnd: true })).toBe(-5)
+  })
+
+  it('does not neg after the end of the question under ACF', () => {
+    const ruleset = RULESETS.find(r => r.id === 'acf')
+    expect(calcTossupPoints('reject', 5, 30, { ruleset, afterEnd: true })).toBe(0)
+  })
+
+  it('negs after the end when the ruleset allows it', () => {
+    const ruleset = { ...RULESETS[0], negAfterEnd: true }
+    expect(calcTossupPoints('reject', 5, 30, { ruleset, afterEnd: true })).toBe(-5)
+  })
+
+  it('uses the ruleset neg value', () => {
+    const ruleset = RULESETS.find(r => r.id === 'no-negs')
+    expect(calcTossupPoints('reject', 5, 3, { ruleset })).toBe(0)
+  })
+
+  it('gives the correct value before (*) when the ruleset has no powers', () => {
+    const ruleset = RULESETS.find(r => r.id === 'no-powers')
+    expect(calcTossupPoints('accept', 5, 3, { ruleset })).toBe(10)
+  })
+
+  it('returns the superpower value before (+)', () => {
+    const ruleset = RULESETS.find(r => r.id === 'superpowers')
+    expect(calcTossupPoints('accept', 6, 2, { superpowerIndex: 3, ruleset })).toBe(20)
+    expect(calcTossupPoints('accept', 6, 4, { superpowerIndex: 3, ruleset })).toBe(15)
+    expect(calcTossupPoints('accept', 6, 8, { superpowerIndex: 3, ruleset })).toBe(10)
+  })
+
+  it('negs normally before (+)', () => {
+    const ruleset = RULESETS.find(r => r.id === 'superpowers')
+    expect(calcTossupPoints('reject', 6, 2, { superpowerIndex: 3, ruleset })).toBe(-5)
+  })
+
+  it('uses custom power and correct values', () => {
+    const ruleset = { ...RULESETS[0], power: 20, correct: 15, neg: -10 }
+    expect(calcTossupPoints('accept', 5, 3, { ruleset })).toBe(20)
+    expect(calcTossupPoints('accept', 5, 7, { ruleset })).toBe(15)
+    expect(calcTossupPoints('reject', 5, 3, { ruleset })).toBe(-10)
+  })
 })
 
 describe('updateTossupScore', () => {
@@ -1,5 +1,8 @@
 import { describe, it, expect } from 'vitest'
-import { buildChunks } from '../tts'
+import {
+  buildChunks, wordUnits, estimateWordTimings, wordAtElapsed, calibrateScale, MS_PER_UNIT,
+  streamPhraseLength, STREAM_PHRASE_MAX,
+} from '../tts'
 
 describe('buildChunks', () => {
   it('returns empty array for empty input', () => {
@@ -85,3 +88,119 @@ describe('buildChunks', () => {
     ])
   })
 })
+
+describe('wordUnits', () => {
+  it('grows with word length', () => {
+    expect(wordUnits('photosynthesis')).toBeGreaterThan(wordUnits('cat'))
+  })
+
+  it('adds a pause for trailing punctuation', () => {
+    expect(wordUnits('end.')).toBeGreaterThan(wordUnits('end,'))
+    expect(wordUnits('end,')).toBeGreaterThan(wordUnits('end'))
+  })
+
+  it('weighs digits more than letters', () => {
+    expect(wordUnits('1848')).toBeGreaterThan(wordUnits('abcd'))
+  })
+
+  it('ignores markup characters like quotes and parentheses', () => {
+    expect(wordUnits('"(word)"')).toBe(wordUnits('word'))
+  })
+})
+
+describe('estimateWordTimings', () => {
+  const words = ['The', 'quick', 'brown', 'fox.']
+
+  it('starts the first word at zero and increases monotonically', () => {
+    const { offsets } = estimateWordTimings(words)
+    expect(offsets[0]).toBe(0)
+    for (let i = 1; i < offsets.length; i++) {
+      expect(offsets[i]).toBeGreaterThan(offsets[i - 1])
+    }
+  })
+
+  it('sums word units into the chunk duration', () => {
+    const units = words.reduce((sum, w) => sum + wordUnits(w), 0)
+    expect(estimateWordTimings(words).duration).toBe(units * MS_PER_UNIT)
+  })
+
+  it('gives longer words more time', () => {
+    const { offsets } = estimateWordTimings(['a', 'extraordinarily', 'b'])
+    expect(offsets[2] - offsets[1]).toBeGreaterThan(offsets[1] - offsets[0])
+  })
+
+  it('shrinks with a faster rate and stretches with the scale', () => {
+    const base = estimateWordTimings(words).duration
+    expect(estimateWordTimings(words, { rate: 2 }).duration).toBeCloseTo(base / 2)
+    expect(estimateWordTimings(words, { scale: 1.5 }).duration).toBeCloseTo(base * 1.5)
+  })
+
+  it('handles an empty chunk', () => {
+    expect(estimateWordTimings([])).toEqual({ offsets: [], duration: 0 })
+  })
+})
+
+describe('wordAtElapsed', () => {
+  const offsets = [0, 300, 700, 1000]
+
+  it('finds the word being spoken', () => {
+    expect(wordAtElapsed(offsets, 0)).toBe(0)
+    expect(wordAtElapsed(offsets, 299)).toBe(0)
+    expect(wordAtElapsed(offsets, 300)).toBe(1)
+    expect(wordAtElapsed(offsets, 850)).toBe(2)
+  })
+
+  it('stays on the last word past the end', () => {
+    expect(wordAtElapsed(offsets, 5000)).toBe(3)
+  })
+})
+
+describe('calibrateScale', () => {
+  it('moves toward the measured pace', () => {
+    // The voice took twice as long as estimated
+    const slower = calibrateScale(1, 1000, 2000)
+    expect(slower).toBeGreaterThan(1)
+    expect(slower).toBeLessThan(2)
+    expect(calibrateScale(1, 1000, 500)).toBeLessThan(1)
+  })
+
+  it('converges on a consistent pace', () => {
+    let scale = 1
+    for (let i = 0; i < 20; i++) {
+      // Estimates made with the current scale; the voice is really 1.3x slower
+      const estimated = 1000 * scale
+      scale = calibrateScale(scale, estimated, 1300)
+    }
+    expect(scale).toBeCloseTo(1.3, 2)
+  })
+
+  it('stays put when the estimate matches', () => {
+    expect(calibrateScale(1.2, 1000, 1000)).toBeCloseTo(1.2)
+  })
+
+  it('ignores empty measurements and clamps outliers', () => {
+    expect(calibrateScale(1, 0, 500)).toBe(1)
+    expect(calibrateScale(1, 1000, 0)).toBe(1)
+    expect(calibrateScale(1, 100, 100000)).toBeLessThanOrEqual(2.5)
+    expect(calibrateScale(1, 100000, 1)).toBeGreaterThanOrEqual(0.4)
+  })
+})
+
+describe('streamPhraseLength', () => {
+  it('keeps buffering an unfinished phrase', () => {
+    expect(streamPhraseLength([])).toBe(0)
+    expect(streamPhraseLength(['This', 'composer'])).toBe(0)
+  })
+
+  it('releases words through the last punctuation', () => {
+    expect(streamPhraseLength(['This', 'composer,', 'who'])).toBe(2)
+    expect(streamPhraseLength(['wrote', 'symphonies.', 'He', 'also;', 'for'])).toBe(4)
+  })
+
+  it('releases the whole buffer once it is long enough', () => {
+    const words = Array.from({ length: STREAM_PHRASE_MAX }, (_, i) => `w${i}`)
+    expect(streamPhraseLength(words)).toBe(STREAM_PHRASE_MAX)
+    expect(streamPhraseLength(['a', 'b', 'c'], 3)).toBe(3)
+  })
+})
+
@@ -0,0 +1,49 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { createElement } from 'react'
+import { renderHook, act } from '@testing-library/react'
+import { MemoryRouter } from 'react-router-dom'
+import SettingsProvider from '../../components/SettingsProvider'
+import useQuestionPicker from '../../hooks/useQuestionPicker'
+import { getRandomTossup } from '../../api/qbreader'
+import { DEFAULT_SETTINGS } from '../settings'
+import { findDistribution } from '../distributions'
+
+vi.mock('../../api/qbreader', async (importOriginal) => ({
+  ...await importOriginal(),
+  getRandomTossup: vi.fn(),
+}))
+
+const wrapper = ({ children }) => createElement(MemoryRouter, null, createElement(SettingsProvider, null, children))
+
+describe('useQuestionPicker with a distribution', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    localStorage.setItem('qb_settings', JSON.stringify({ ...DEFAULT_SETTINGS, distribution: 'acf-regs' }))
+    getRandomTossup.mockReset()
+  })
+
+  it('keeps a slot in the round when its fetch comes back empty', async () => {
+    const total = findDistribution('acf-regs').slots.length
+    const labels = []
+    getRandomTossup.mockImplementation(async () => [{ _id: 'q' }])
+    getRandomTossup.mockImplementationOnce(async () => [])
+    const { result } = renderHook(() => useQuestionPicker('tossup'), { wrapper })
+
+    let first
+    await act(async () => {
+      first = await result.current.next()
+    })
+    expect(first).toBeNull()
+    const missed = result.current.roundSlot.label
+
+    for (let i = 0; i < total; i++) {
+      await act(async () => {
+        await result.current.next()
+      })
+      labels.push(result.current.roundSlot.label)
+    }
+    expect(result.current.roundSlot).toMatchObject({ position: total, total })
+    expect(labels.at(-1)).toBe(missed)
+    expect(new Set(labels).size).toBe(total)
+  })
+})
@@ -0,0 +1,215 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { renderHook, act } from '@testing-library/react'
+import useTTS from '../../hooks/useTTS'
+
+// The real silent reader, recording what it's asked to read. `boundaries`
+// can be turned off to drive the hook's chunked (Android) path.
+const reader = vi.hoisted(() => ({ boundaries: true, spoken: [] }))
+
+vi.mock('../readers', async (importOriginal) => {
+  const actual = await importOriginal()
+  return {
+    ...actual,
+    createReaderEngine: (id) => {
+      const engine = actual.createReaderEngine(id)
+      return {
+        ...engine,
+        boundaries: reader.boundaries,
+        speak(text, opts) {
+          reader.spoken.push(text)
+          engine.speak(text, opts)
+        },
+      }
+    },
+  }
+})
+
+// 300 wpm = 200ms per word
+const WPM = 300
+
+const renderTTS = () => renderHook(() => useTTS({ reader: 'silent', wpm: WPM }))
+
+const advance = (ms) => act(() => {
+  vi.advanceTimersByTime(ms)
+})
+
+describe('useTTS with the silent reader', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    reader.boundaries = true
+    reader.spoken = []
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('reveals one word per beat and finishes', () => {
+    const { result } = renderTTS()
+    act(() => result.current.speak(['one', 'two', 'three']))
+    expect(result.current.speaking).toBe(true)
+    expect(result.current.wordIndex).toBe(-1)
+
+    advance(0)
+    expect(result.current.wordIndex).toBe(0)
+    advance(200)
+    expect(result.current.wordIndex).toBe(1)
+    advance(200)
+    expect(result.current.wordIndex).toBe(2)
+    expect(result.current.done).toBe(false)
+
+    advance(200)
+    expect(result.current.done).toBe(true)
+    expect(result.current.speaking).toBe(false)
+  })
+
+  it('reads at the pace it is given', () => {
+    const { result } = renderHook(() => useTTS({ reader: 'silent', wpm: 150 }))
+    act(() => result.current.speak(['one', 'two', 'three']))
+    advance(350)
+    expect(result.current.wordIndex).toBe(0)
+    advance(100)
+    expect(result.current.wordIndex).toBe(1)
+  })
+
+  it('is done straight away with nothing to read', () => {
+    const { result } = renderTTS()
+    act(() => result.current.speak([]))
+    expect(result.current.done).toBe(true)
+    expect(result.current.speaking).toBe(false)
+    expect(reader.spoken).toEqual([])
+  })
+
+  it('holds while paused and finishes after resuming', () => {
+    const { result } = renderTTS()
+    act(() => result.current.speak(['one', 'two', 'three']))
+    advance(250)
+    act(() => result.current.pause())
+    advance(5000)
+    expect(result.current.wordIndex).toBe(1)
+    expect(result.current.done).toBe(false)
+
+    act(() => result.current.resume())
+    expect(result.current.paused).toBe(false)
+    advance(400)
+    expect(result.current.done).toBe(true)
+  })
+
+  it('goes quiet once stopped, and starts over on reset', () => {
+    const { result } = renderTTS()
+    act(() => result.current.speak(['one', 'two', 'three']))
+    advance(250)
+    act(() => result.current.stop())
+    advance(5000)
+    expect(result.current.speaking).toBe(false)
+    expect(result.current.done).toBe(false)
+    expect(result.current.wordIndex).toBe(1)
+
+    act(() => result.current.reset())
+    expect(result.current.wordIndex).toBe(-1)
+  })
+
+  it('reads a stream as words arrive and finishes once it ends', () => {
+    const { result } = renderTTS()
+    act(() => result.current.startStream())
+    act(() => result.current.append(['One', 'two,']))
+    expect(reader.spoken).toEqual(['One two,'])
+    advance(400)
+    expect(result.current.wordIndex).toBe(1)
+
+    act(() => result.current.append(['three']))
+    act(() => result.current.endStream())
+    advance(200)
+    expect(reader.spoken.at(-1)).toBe('three')
+    expect(result.current.wordIndex).toBe(2)
+    expect(result.current.done).toBe(true)
+  })
+})
+
+describe('useTTS pause, resume and stop', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    reader.boundaries = true
+    reader.spoken = []
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('keeps the current word while paused', () => {
+    const { result } = renderTTS()
+    act(() => result.current.speak(['one', 'two', 'three', 'four']))
+    advance(250)
+    expect(result.current.wordIndex).toBe(1)
+
+    act(() => result.current.pause())
+    advance(2000)
+    expect(result.current.paused).toBe(true)
+    expect(result.current.wordIndex).toBe(1)
+    expect(result.current.done).toBe(false)
+  })
+
+  it('resumes a single utterance from the paused word', () => {
+    const { result } = renderTTS()
+    act(() => result.current.speak(['one', 'two', 'three', 'four']))
+    advance(250)
+    act(() => result.current.pause())
+    act(() => result.current.resume())
+    expect(reader.spoken.at(-1)).toBe('two three four')
+
+    advance(250)
+    expect(result.current.wordIndex).toBe(2)
+    advance(1000)
+    expect(result.current.done).toBe(true)
+    expect(result.current.wordIndex).toBe(3)
+  })
+
+  it('resumes chunked reading from the paused word', () => {
+    reader.boundaries = false
+    const { result } = renderTTS()
+    const words = ['One', 'two', 'three,', 'four', 'five', 'six.']
+    act(() => result.current.speak(words))
+    expect(reader.spoken).toEqual(['One two three,'])
+    advance(250)
+    const paused = result.current.wordIndex
+    expect(paused).toBeGreaterThanOrEqual(0)
+
+    act(() => result.current.pause())
+    act(() => result.current.resume())
+    expect(reader.spoken.at(-1)).toBe(words.slice(paused, 3).join(' '))
+    expect(result.current.wordIndex).toBe(paused)
+  })
+
+  it('resumes chunked reading at the next chunk when paused between chunks', () => {
+    reader.boundaries = false
+    const { result } = renderTTS()
+    act(() => result.current.speak(['One', 'two', 'three,', 'four', 'five', 'six.']))
+    // The first chunk ends at 600ms; the next starts 150ms later
+    advance(650)
+    expect(result.current.wordIndex).toBe(2)
+
+    act(() => result.current.pause())
+    act(() => result.current.resume())
+    expect(reader.spoken.at(-1)).toBe('four five six.')
+    advance(0)
+    expect(result.current.wordIndex).toBe(3)
+  })
+
+  it('returns the word it stopped at', () => {
+    const { result } = renderTTS()
+    act(() => result.current.speak(['one', 'two', 'three', 'four']))
+    advance(450)
+
+    let stoppedAt
+    act(() => {
+      stoppedAt = result.current.stop()
+    })
+    expect(stoppedAt).toBe(2)
+    expect(result.current.speaking).toBe(false)
+    expect(result.current.wordIndex).toBe(2)
+    advance(2000)
+    expect(result.current.wordIndex).toBe(2)
+    expect(result.current.done).toBe(false)
+  })
+})
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest'
+import { categoryWeights, pickWeightedCategory, MIN_WEAKNESS } from '../weights'
+
+const tossup = (category, directive) => ({ type: 'tossup', category, directive })
+const bonus = (category, ...partPoints) => ({
+  type: 'bonus', category, parts: partPoints.map(points => ({ points })),
+})
+
+describe('categoryWeights', () => {
+  it('weights weaker categories more heavily', () => {
+    const records = [
+      tossup('Science', 'accept'), tossup('Science', 'accept'), tossup('Science', 'accept'),
+      tossup('History', 'reject'), tossup('History', 'reject'), tossup('History', 'accept'),
+    ]
+    const [science, history] = categoryWeights(records, 'tossup', ['Science', 'History'])
+    expect(history.weight).toBeGreaterThan(science.weight)
+    expect(science.heard).toBe(3)
+    expect(science.weight + history.weight).toBeCloseTo(1)
+  })
+
+  it('gives unplayed categories an even rate', () => {
+    const [row] = categoryWeights([], 'tossup', ['Trash'])
+    expect(row).toMatchObject({ heard: 0, rate: 0.5, weight: 1 })
+  })
+
+  it('judges bonuses per part', () => {
+    const records = [bonus('Literature', 10, 10, 10), bonus('Fine Arts', 0, 0, 10)]
+    const rows = categoryWeights(records, 'bonus', ['Literature', 'Fine Arts'])
+    expect(rows[0].rate).toBeCloseTo(4 / 5)
+    expect(rows[1].rate).toBeCloseTo(2 / 5)
+  })
+
+  it('only counts records of the requested type', () => {
+    const [row] = categoryWeights([bonus('Science', 0, 0, 0)], 'tossup', ['Science'])
+    expect(row.heard).toBe(0)
+  })
+
+  it('keeps strong categories in the mix', () => {
+    const records = Array.from({ length: 50 }, () => tossup('Science', 'accept'))
+    const [science, history] = categoryWeights(records, 'tossup', ['Science', 'History'])
+    expect(science.weight).toBeCloseTo(MIN_WEAKNESS / (MIN_WEAKNESS + 0.5))
+    expect(history.weight).toBeGreaterThan(science.weight)
+  })
+})
+
+describe('pickWeightedCategory', () => {
+  const weights = [
+    { category: 'A', weight: 0.25 },
+    { category: 'B', weight: 0.75 },
+  ]
+
+  it('picks by cumulative weight', () => {
+    expect(pickWeightedCategory(weights, () => 0.1)).toBe('A')
+    expect(pickWeightedCategory(weights, () => 0.3)).toBe('B')
+    expect(pickWeightedCategory(weights, () => 0.9999)).toBe('B')
+  })
+
+  it('returns null with no categories', () => {
+    expect(pickWeightedCategory([])).toBeNull()
+  })
+})
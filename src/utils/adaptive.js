@@ -0,0 +1,100 @@
+/**
+ * Adaptive difficulty: picks the difficulty level passed to
+ * getRandomTossup/getRandomBonus from rolling performance.
+ *
+ * Each result is an outcome of "up" (power or 30), "down" (neg, dead tossup
+ * or zeroed bonus) or "hold". The level steps up once STEP_THRESHOLD of the
+ * last WINDOW_SIZE outcomes are "up", and down once that many are "down";
+ * the window starts over after every step.
+ */
+
+const STORAGE_KEY = 'qb_adaptive'
+
+export const MIN_LEVEL = 1
+export const MAX_LEVEL = 10
+export const WINDOW_SIZE = 5
+export const STEP_THRESHOLD = 3
+// Level changes kept for the scoreboard
+const HISTORY_LIMIT = 20
+
+/**
+ * Fresh adaptive state.
+ * @param {number} [level=3]
+ */
+export function createAdaptiveState(level = 3) {
+  return { level, recent: [], history: [{ level, timestamp: Date.now() }] }
+}
+
+/**
+ * Outcome of a finished tossup.
+ * @param {string} directive - Final "accept"/"reject" directive
+ * @param {string|null} tier - Buzz tier of an accepted answer (see getBuzzTier)
+ * @returns {string} "up", "down" or "hold"
+ */
+export function tossupOutcome(directive, tier) {
+  if (directive !== 'accept') return 'down'
+  return tier === 'power' || tier === 'superpower' ? 'up' : 'hold'
+}
+
+/**
+ * Outcome of a finished bonus.
+ * @param {{correct: boolean}[]} partResults
+ * @returns {string} "up", "down" or "hold"
+ */
+export function bonusOutcome(partResults) {
+  const correct = partResults.filter(p => p.correct).length
+  if (correct === partResults.length) return 'up'
+  return correct === 0 ? 'down' : 'hold'
+}
+
+/**
+ * Add an outcome, stepping the level if the window calls for it.
+ * @param {Object} state
+ * @param {string} outcome - "up", "down" or "hold"
+ * @returns {Object} New state
+ */
+export function recordAdaptiveOutcome(state, outcome) {
+  const recent = [...state.recent, outcome].slice(-WINDOW_SIZE)
+  const count = (o) => recent.filter(r => r === o).length
+  let level = state.level
+  if (count('up') >= STEP_THRESHOLD) level = Math.min(MAX_LEVEL, level + 1)
+  else if (count('down') >= STEP_THRESHOLD) level = Math.max(MIN_LEVEL, level - 1)
+
+  if (level === state.level) {
+    // Pinned at the edge of the range: still start the window over
+    const stepped = count('up') >= STEP_THRESHOLD || count('down') >= STEP_THRESHOLD
+    return { ...state, recent: stepped ? [] : recent }
+  }
+  const history = [...state.history, { level, timestamp: Date.now() }].slice(-HISTORY_LIMIT)
+  return { level, recent: [], history }
+}
+
+/**
+ * Load saved adaptive state for one question type.
+ * @param {string} type - "tossup" or "bonus"
+ */
+export function loadAdaptiveState(type) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY))?.[type]
+    return Number.isInteger(stored?.level) && Array.isArray(stored.recent) && Array.isArray(stored.history)
+      ? stored
+      : createAdaptiveState()
+  } catch {
+    return createAdaptiveState()
+  }
+}
+
+/**
+ * Save adaptive state for one question type.
+ * @param {string} type - "tossup" or "bonus"
+ * @param {Object} state
+ */
+export function saveAdaptiveState(type, state) {
+  let stored = {}
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}
+  } catch {
+    // Overwrite corrupt data
+  }
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...stored, [type]: state }))
+}
@@ -1,3 +1,5 @@
+import { DEFAULT_RULESET } from './rulesets'
+
 /**
  * Calculate total bonus points from part results.
  * @param {{points: number}[]} partResults
@@ -11,12 +13,24 @@ export function calcBonusTotal(partResults) {
  * Pure score reducer for bonus scoring.
  * @param {{total: number, bonuses: number, thirties: number}} prev
  * @param {number} bonusTotal - Total points for this bonus (0-30)
+ * @param {number} [maxTotal=30] - Points for getting every part
  * @returns {{total: number, bonuses: number, thirties: number}}
  */
-export function updateBonusScore(prev, bonusTotal) {
+export function updateBonusScore(prev, bonusTotal, maxTotal = 30) {
   return {
     total: prev.total + bonusTotal,
     bonuses: prev.bonuses + 1,
-    thirties: prev.thirties + (bonusTotal === 30 ? 1 : 0),
+    thirties: prev.thirties + (bonusTotal === maxTotal ? 1 : 0),
   }
 }
+
+/**
+ * Points for a single bonus part given the final directive.
+ * Prompts are resolved before scoring, so only an accept earns points.
+ * @param {string} directive - Final "accept" or "reject" directive
+ * @param {Object} [ruleset] - Scoring ruleset (see utils/rulesets), the default one if omitted
+ * @returns {number} The ruleset's bonus part value, or 0
+ */
+export function calcBonusPartPoints(directive, ruleset = DEFAULT_RULESET) {
+  return directive === 'accept' ? ruleset.bonusPart : 0
+}
@@ -0,0 +1,143 @@
+/**
+ * Tournament distributions: category and subcategory quotas per 20-question
+ * round, so practice draws questions the way a real packet would.
+ *
+ * Each slot is a filter for getRandomTossup/getRandomBonus (categories and/or
+ * subcategories) plus how many questions of the round it fills.
+ */
+
+const slot = (label, count, filter) => ({ label, count, ...filter })
+
+export const DISTRIBUTIONS = [
+  {
+    id: 'acf-regs',
+    name: 'ACF Regionals',
+    slots: [
+      slot('American Literature', 1, { subcategories: ['American Literature'] }),
+      slot('British Literature', 1, { subcategories: ['British Literature'] }),
+      slot('European Literature', 1, { subcategories: ['European Literature'] }),
+      slot('World/Other Literature', 1, { subcategories: ['World Literature', 'Other Literature'] }),
+      slot('American History', 1, { subcategories: ['American History'] }),
+      slot('European History', 1, { subcategories: ['European History'] }),
+      slot('World History', 1, { subcategories: ['World History'] }),
+      slot('Ancient/Other History', 1, { subcategories: ['Ancient History', 'Other History'] }),
+      slot('Biology', 1, { subcategories: ['Biology'] }),
+      slot('Chemistry', 1, { subcategories: ['Chemistry'] }),
+      slot('Physics', 1, { subcategories: ['Physics'] }),
+      slot('Other Science', 1, { subcategories: ['Other Science'] }),
+      slot('Visual Fine Arts', 1, { subcategories: ['Visual Fine Arts'] }),
+      slot('Auditory Fine Arts', 1, { subcategories: ['Auditory Fine Arts'] }),
+      slot('Other Fine Arts', 1, { subcategories: ['Other Fine Arts'] }),
+      slot('Religion', 1, { categories: ['Religion'] }),
+      slot('Mythology', 1, { categories: ['Mythology'] }),
+      slot('Philosophy', 1, { categories: ['Philosophy'] }),
+      slot('Social Science', 1, { categories: ['Social Science'] }),
+      slot('Geography/Current Events/Other', 1, { categories: ['Geography', 'Current Events', 'Other Academic'] }),
+    ],
+  },
+  {
+    id: 'naqt-is',
+    name: 'NAQT IS',
+    slots: [
+      slot('Literature', 4, { categories: ['Literature'] }),
+      slot('History', 4, { categories: ['History'] }),
+      slot('Biology', 1, { subcategories: ['Biology'] }),
+      slot('Chemistry', 1, { subcategories: ['Chemistry'] }),
+      slot('Physics', 1, { subcategories: ['Physics'] }),
+      slot('Other Science', 1, { subcategories: ['Other Science'] }),
+      slot('Fine Arts', 2, { categories: ['Fine Arts'] }),
+      slot('Religion/Mythology', 1, { categories: ['Religion', 'Mythology'] }),
+      slot('Philosophy/Social Science', 1, { categories: ['Philosophy', 'Social Science'] }),
+      slot('Geography', 1, { categories: ['Geography'] }),
+      slot('Current Events', 1, { categories: ['Current Events'] }),
+      slot('Other Academic/Pop Culture', 2, { categories: ['Other Academic', 'Trash'] }),
+    ],
+  },
+]
+
+/**
+ * Look up a distribution by id.
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function findDistribution(id) {
+  return DISTRIBUTIONS.find(d => d.id === id) ?? null
+}
+
+/**
+ * Questions in one round of a distribution.
+ * @param {Object} distribution
+ */
+export function roundSize(distribution) {
+  return distribution.slots.reduce((sum, s) => sum + s.count, 0)
+}
+
+/**
+ * One round's worth of slots, each repeated by its count, in random order.
+ * @param {Object} distribution
+ * @param {() => number} [random=Math.random]
+ * @returns {Object[]}
+ */
+export function createRound(distribution, random = Math.random) {
+  const round = distribution.slots.flatMap(s => Array(s.count).fill(s))
+  for (let i = round.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    ;[round[i], round[j]] = [round[j], round[i]]
+  }
+  return round
+}
+
+/**
+ * Filter options for a slot: its categories/subcategories replace any
+ * category selection, other filters (difficulty, years, offline) are kept.
+ * @param {Object} slot
+ * @param {Object} filters - Options from buildQuestionFilters
+ */
+export function slotFilters(slot, filters) {
+  const {
+    categories: _categories,
+    subcategories: _subcategories,
+    alternateSubcategories: _alternates,
+    ...rest
+  } = filters
+  return {
+    ...rest,
+    ...(slot.categories && { categories: slot.categories }),
+    ...(slot.subcategories && { subcategories: slot.subcategories }),
+  }
+}
+
+/**
+ * Deals slots round by round, starting a fresh round when one runs out or
+ * the distribution changes.
+ * @param {() => number} [random=Math.random]
+ */
+export function createRoundPlanner(random = Math.random) {
+  let id = null
+  let round = []
+  let position = 0
+
+  return {
+    /**
+     * @param {Object} distribution
+     * @returns {{slot: Object, position: number, total: number}} position is 1-indexed
+     */
+    next(distribution) {
+      if (distribution.id !== id || position >= round.length) {
+        id = distribution.id
+        round = createRound(distribution, random)
+        position = 0
+      }
+      return { slot: round[position++], position, total: round.length }
+    },
+
+    /**
+     * Put the slot dealt last back at the end of the round, e.g. when no
+     * question could be found for it, so the round still meets its quotas.
+     */
+    requeue() {
+      if (position === 0) return
+      round.push(...round.splice(--position, 1))
+    },
+  }
+}
@@ -0,0 +1,86 @@
+import { SUBCATEGORIES, ALTERNATE_SUBCATEGORIES } from '../api/qbreader'
+
+/**
+ * Expand a subcategory selection so it only narrows the categories it
+ * belongs to. Selected categories with nothing picked in them contribute all
+ * of their subcategories, so picking Biology under Science doesn't drop the
+ * other selected categories. Returns undefined when nothing is narrowed.
+ * @param {string[]} categories - Selected categories
+ * @param {string[]} selected - Selected (alternate) subcategories
+ * @param {Object<string, string[]>} tree - Category → subcategories
+ * @returns {string[]|undefined}
+ */
+export function expandSubcategories(categories, selected, tree) {
+  if (!selected?.length) return undefined
+  const expanded = []
+  for (const category of categories) {
+    const options = tree[category] || [category]
+    const picked = options.filter(sub => selected.includes(sub))
+    expanded.push(...(picked.length ? picked : options))
+  }
+  return expanded
+}
+
+/**
+ * Build the filter options passed to getRandomTossup/getRandomBonus from
+ * practice settings. Empty selections are left out so the API returns all.
+ * @param {Object} settings - Practice settings
+ * @returns {Object} Options for getRandomTossup/getRandomBonus
+ */
+export function buildQuestionFilters(settings) {
+  const opts = {}
+  if (settings.categories?.length > 0) {
+    opts.categories = settings.categories
+    const subcategories = expandSubcategories(settings.categories, settings.subcategories, SUBCATEGORIES)
+    if (subcategories) opts.subcategories = subcategories
+    const alternates = expandSubcategories(
+      settings.categories.filter(c => ALTERNATE_SUBCATEGORIES[c]),
+      settings.alternateSubcategories,
+      ALTERNATE_SUBCATEGORIES
+    )
+    if (alternates?.length) opts.alternateSubcategories = alternates
+  }
+  if (settings.difficulties?.length > 0) opts.difficulties = settings.difficulties
+  if (settings.minYear != null) opts.minYear = settings.minYear
+  if (settings.maxYear != null) opts.maxYear = settings.maxYear
+  if (settings.offlineMode) opts.offline = true
+  return opts
+}
+
+/**
+ * Whether a question matches getRandomTossup/getRandomBonus-style filters.
+ * @param {Object} question
+ * @param {Object} opts - categories, subcategories, alternateSubcategories,
+ *   difficulties, minYear, maxYear
+ * @returns {boolean}
+ */
+export function matchesFilters(question, opts = {}) {
+  if (opts.categories?.length && !opts.categories.includes(question.category)) return false
+  if (opts.subcategories?.length && !opts.subcategories.includes(question.subcategory)) return false
+  // Questions without an alternate subcategory aren't ruled out by one
+  if (opts.alternateSubcategories?.length && question.alternate_subcategory &&
+    !opts.alternateSubcategories.includes(question.alternate_subcategory)) return false
+  if (opts.difficulties?.length && !opts.difficulties.includes(question.difficulty)) return false
+  const year = question.set?.year
+  if (opts.minYear != null && (year == null || year < opts.minYear)) return false
+  if (opts.maxYear != null && (year == null || year > opts.maxYear)) return false
+  return true
+}
+
+/**
+ * Pick random questions matching the filters, without repeats.
+ * @param {Object[]} questions
+ * @param {Object} opts - Filters, see matchesFilters
+ * @param {number} [number=1]
+ * @param {() => number} [random=Math.random]
+ * @returns {Object[]}
+ */
+export function sampleQuestions(questions, opts = {}, number = 1, random = Math.random) {
+  const pool = questions.filter(q => matchesFilters(q, opts))
+  const picked = []
+  while (picked.length < number && pool.length > 0) {
+    const i = Math.floor(random() * pool.length)
+    picked.push(pool.splice(i, 1)[0])
+  }
+  return picked
+}
@@ -0,0 +1,86 @@
+/**
+ * Shared fields for every practice history record.
+ * @param {Object} question - Tossup or bonus from the API
+ * @param {string} type - "tossup" or "bonus"
+ */
+function baseRecord(question, type) {
+  return {
+    type,
+    questionId: question._id ?? null,
+    set: question.set?.name ?? null,
+    category: question.category ?? null,
+    subcategory: question.subcategory ?? null,
+    difficulty: question.difficulty ?? null,
+    timestamp: Date.now(),
+  }
+}
+
+/**
+ * Build a history record for a played tossup.
+ * @param {Object} tossup - Tossup from the API
+ * @param {Object} res
+ * @param {number} res.buzzIndex - Word index of the buzz, or -1 if no buzz
+ * @param {number} res.powerIndex - Spoken index of (*), or -1
+ * @param {number} [res.superpowerIndex] - Spoken index of (+), or -1
+ * @param {string} res.directive - Final "accept"/"reject" directive
+ * @param {string} [res.tier] - "superpower", "power" or "correct" for a correct buzz
+ * @param {number} res.points
+ * @param {boolean} [res.afterEnd] - Whether the buzz came after the question ended
+ * @param {string} [res.givenAnswer]
+ * @param {string} [res.timedOut] - "buzz" or "answer" if a timer ran out
+ */
+export function buildTossupRecord(tossup, res) {
+  return {
+    ...baseRecord(tossup, 'tossup'),
+    buzzIndex: res.buzzIndex,
+    powerIndex: res.powerIndex,
+    superpowerIndex: res.superpowerIndex ?? -1,
+    directive: res.directive,
+    tier: res.directive === 'accept' ? res.tier ?? null : null,
+    points: res.points,
+    afterEnd: !!res.afterEnd,
+    givenAnswer: res.givenAnswer || '',
+    timedOut: res.timedOut || null,
+  }
+}
+
+/**
+ * Build a history record for a played bonus.
+ * Per-part directives and answers are kept in `parts`; `points` is the total.
+ * @param {Object} bonus - Bonus from the API
+ * @param {{directive: string, points: number, userAnswer: string}[]} partResults
+ */
+export function buildBonusRecord(bonus, partResults) {
+  return {
+    ...baseRecord(bonus, 'bonus'),
+    buzzIndex: null,
+    powerIndex: null,
+    superpowerIndex: null,
+    parts: partResults.map(r => ({
+      directive: r.directive,
+      points: r.points,
+      givenAnswer: r.userAnswer || '',
+    })),
+    points: partResults.reduce((sum, r) => sum + r.points, 0),
+  }
+}
+
+/**
+ * Filter history records by type, date range and difficulty.
+ * @param {Object[]} records
+ * @param {Object} [opts]
+ * @param {string} [opts.type] - "tossup" or "bonus"
+ * @param {number} [opts.from] - Earliest timestamp (ms, inclusive)
+ * @param {number} [opts.to] - Latest timestamp (ms, inclusive)
+ * @param {number[]} [opts.difficulties] - Empty or missing means all
+ * @returns {Object[]}
+ */
+export function filterRecords(records, opts = {}) {
+  return records.filter(r => {
+    if (opts.type && r.type !== opts.type) return false
+    if (opts.from != null && r.timestamp < opts.from) return false
+    if (opts.to != null && r.timestamp > opts.to) return false
+    if (opts.difficulties?.length && !opts.difficulties.includes(r.difficulty)) return false
+    return true
+  })
+}
@@ -0,0 +1,166 @@
+/**
+ * Local answer judge, used when the qbreader check-answer API is unavailable
+ * or offline judging is turned on. Returns the same {directive, directedPrompt}
+ * shape as the API.
+ *
+ * Answerlines look like:
+ *   "<b><u>Mitochondria</u></b> [accept mitochondrion; prompt on organelle
+ *    by asking "which one?"; do not accept or reject nucleus]"
+ */
+
+const ACCEPT_RE = /^(?:also\s+)?(?:accept|or)\b/i
+const PROMPT_RE = /^(?:anti-?\s?prompt|prompt)\s+(?:on\b)?/i
+const REJECT_RE = /^(?:do\s+not|don't)\s+(?:accept\s+or\s+reject|accept|prompt\s+on)\b|^reject\b/i
+const DIRECTED_PROMPT_RE = /\b(?:by\s+asking|with)\s*[:,]?\s*["“]([^"”]+)["”]/i
+// Qualifiers like "before mention" or "until read" don't change what's acceptable offline
+const QUALIFIER_RE = /\s+(?:before|after|until|since|if|when)\b.*$/i
+
+/**
+ * Normalize an answer for comparison: lowercase, strip accents, punctuation
+ * and leading articles, collapse whitespace.
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeForJudging(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&amp;/g, '&')
+    .replace(/[^a-z0-9&\s-]/g, ' ')
+    .replace(/-/g, ' ')
+    .replace(/^\s*(?:the|a|an)\s+/, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * Levenshtein edit distance between two strings.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost)
+    }
+    prev = curr
+  }
+  return prev[b.length]
+}
+
+/**
+ * Fuzzy match a given answer against one acceptable answer.
+ * Allows roughly one typo per five characters; short answers must match exactly.
+ * @param {string} given
+ * @param {string} expected
+ * @returns {boolean}
+ */
+export function isFuzzyMatch(given, expected) {
+  const g = normalizeForJudging(given)
+  const e = normalizeForJudging(expected)
+  if (!g || !e) return false
+  if (g === e) return true
+  const allowed = Math.floor(e.length / 5)
+  return allowed > 0 && editDistance(g, e) <= allowed
+}
+
+/**
+ * Split a clause body into its individual answers ("X or Y, Z").
+ * @param {string} body
+ * @returns {string[]}
+ */
+function splitAnswers(body) {
+  return body
+    .trim()
+    .replace(/^either\s+/i, '')
+    .replace(QUALIFIER_RE, '')
+    .split(/\s+or\s+|,\s*/i)
+    .map(a => a.replace(/^["“']|["”']$/g, '').trim())
+    .filter(Boolean)
+}
+
+/**
+ * Parse an answerline into the main answer(s) plus accept, prompt and reject clauses.
+ * Bold or underlined text in an HTML answerline is treated as a required
+ * part that is acceptable on its own.
+ * @param {string} answerline - Plain or HTML answerline
+ * @returns {{main: string[], accept: string[], prompt: {answer: string, directedPrompt: string|null}[], reject: string[]}}
+ */
+export function parseAnswerline(answerline) {
+  const required = [...answerline.matchAll(/<(?:b|u)>(.*?)<\/(?:b|u)>/gi)]
+    .map(m => m[1].replace(/<[^>]+>/g, '').trim())
+  const text = answerline.replace(/<[^>]+>/g, '').trim()
+
+  const bracket = text.search(/[[(]/)
+  const mainText = (bracket >= 0 ? text.slice(0, bracket) : text).trim()
+  const clauseText = bracket >= 0 ? text.slice(bracket) : ''
+
+  const parsed = {
+    main: [mainText, ...required].filter((a, i, all) => a && all.indexOf(a) === i),
+    accept: [],
+    prompt: [],
+    reject: [],
+  }
+
+  const groups = [...clauseText.matchAll(/[[(]([^\])]*)[\])]/g)].map(m => m[1])
+  for (const group of groups) {
+    for (const rawClause of group.split(';')) {
+      const clause = rawClause.trim()
+      if (!clause) continue
+      if (REJECT_RE.test(clause)) {
+        parsed.reject.push(...splitAnswers(clause.replace(REJECT_RE, '')))
+      } else if (PROMPT_RE.test(clause)) {
+        const directed = clause.match(DIRECTED_PROMPT_RE)
+        const body = clause.replace(PROMPT_RE, '').replace(DIRECTED_PROMPT_RE, '')
+        for (const answer of splitAnswers(body)) {
+          parsed.prompt.push({ answer, directedPrompt: directed ? directed[1].trim() : null })
+        }
+      } else if (ACCEPT_RE.test(clause)) {
+        parsed.accept.push(...splitAnswers(clause.replace(ACCEPT_RE, '')))
+      }
+    }
+  }
+  return parsed
+}
+
+/**
+ * Answerline to judge a question against. The HTML one is preferred, since its
+ * bold and underlined required parts are acceptable on their own; the
+ * sanitized one has lost them.
+ * @param {Object} question - Tossup or bonus from the API
+ * @param {number} [part] - Bonus part index
+ * @returns {string}
+ */
+export function answerlineFor(question, part) {
+  if (part === undefined) return question.answer || question.answer_sanitized || ''
+  return question.answers?.[part] || question.answers_sanitized?.[part] || ''
+}
+
+/**
+ * Judge a given answer against an answerline.
+ * Explicit rejects win over fuzzy accepts, then accepts, then prompts.
+ * @param {string} givenAnswer
+ * @param {string} answerline - Plain or HTML answerline
+ * @returns {{directive: string, directedPrompt: string|null}}
+ */
+export function judgeAnswer(givenAnswer, answerline) {
+  const parsed = parseAnswerline(answerline)
+  const given = normalizeForJudging(givenAnswer)
+
+  if (parsed.reject.some(a => normalizeForJudging(a) === given)) {
+    return { directive: 'reject', directedPrompt: null }
+  }
+  if ([...parsed.main, ...parsed.accept].some(a => isFuzzyMatch(givenAnswer, a))) {
+    return { directive: 'accept', directedPrompt: null }
+  }
+  const prompt = parsed.prompt.find(p => isFuzzyMatch(givenAnswer, p.answer))
+  if (prompt) {
+    return { directive: 'prompt', directedPrompt: prompt.directedPrompt }
+  }
+  return { directive: 'reject', directedPrompt: null }
+}
@@ -0,0 +1,112 @@
+/**
+ * Packet playback progress.
+ *
+ * A packet is played as tossup 1, bonus 1, tossup 2, bonus 2, ... Progress
+ * records the current position, whether that question has been answered,
+ * and the running score, so a half-played packet can be resumed.
+ */
+
+const STORAGE_KEY = 'qb_packet_progress'
+
+/**
+ * Start a fresh run through a packet.
+ * @param {string} setName
+ * @param {number} packetNumber - 1-indexed
+ */
+export function createPacketProgress(setName, packetNumber) {
+  return {
+    setName,
+    packetNumber,
+    index: 0,
+    stage: 'tossup',
+    answered: false,
+    tossupPoints: 0,
+    bonusPoints: 0,
+    tossupsHeard: 0,
+    bonusesHeard: 0,
+  }
+}
+
+/**
+ * Record the points scored on the current tossup.
+ * @param {Object} progress
+ * @param {number} points
+ */
+export function recordPacketTossup(progress, points) {
+  if (progress.stage !== 'tossup' || progress.answered) return progress
+  return {
+    ...progress,
+    answered: true,
+    tossupPoints: progress.tossupPoints + points,
+    tossupsHeard: progress.tossupsHeard + 1,
+  }
+}
+
+/**
+ * Record the points scored on the current bonus.
+ * @param {Object} progress
+ * @param {number} points
+ */
+export function recordPacketBonus(progress, points) {
+  if (progress.stage !== 'bonus' || progress.answered) return progress
+  return {
+    ...progress,
+    answered: true,
+    bonusPoints: progress.bonusPoints + points,
+    bonusesHeard: progress.bonusesHeard + 1,
+  }
+}
+
+/**
+ * Move to the next question: a tossup is followed by its paired bonus (if the
+ * packet has one), a bonus by the next tossup. Stage becomes 'done' after the
+ * last tossup or bonus.
+ * @param {Object} progress
+ * @param {{tossups: Array, bonuses: Array}} packet
+ */
+export function advancePacket(progress, packet) {
+  let { index, stage } = progress
+  if (stage === 'tossup' && packet.bonuses?.[index]) {
+    stage = 'bonus'
+  } else {
+    index++
+    stage = index < packet.tossups.length ? 'tossup' : 'done'
+  }
+  return { ...progress, index, stage, answered: false }
+}
+
+/**
+ * The tossup or bonus at the current position, or null when done.
+ * @param {Object} progress
+ * @param {{tossups: Array, bonuses: Array}} packet
+ */
+export function currentPacketQuestion(progress, packet) {
+  if (progress.stage === 'tossup') return packet.tossups[progress.index] ?? null
+  if (progress.stage === 'bonus') return packet.bonuses?.[progress.index] ?? null
+  return null
+}
+
+/**
+ * Load the saved progress of a half-played packet.
+ * @returns {Object|null}
+ */
+export function loadPacketProgress() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return stored?.setName && stored.stage !== 'done' ? stored : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Save packet progress to localStorage, or clear it once the packet is done.
+ * @param {Object|null} progress
+ */
+export function savePacketProgress(progress) {
+  if (!progress || progress.stage === 'done') {
+    localStorage.removeItem(STORAGE_KEY)
+  } else {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(progress))
+  }
+}
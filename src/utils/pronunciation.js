@@ -0,0 +1,126 @@
+import { stripPowerMarker } from './tossup'
+
+// How pronunciation guides are read aloud. They're always shown on screen.
+export const PRONUNCIATION_MODES = [
+  { value: 'guide', label: 'Read the guide instead of the name' },
+  { value: 'skip', label: 'Skip the guide' },
+  { value: 'both', label: 'Read both' },
+]
+
+// Longest guide, in words, that's still treated as one
+const MAX_GUIDE_WORDS = 6
+
+const CLOSERS = { '(': ')', '[': ']' }
+
+// Guides are respellings: hyphenated syllables with the stressed one in
+// capitals, e.g. (TEE-koh BRAH-hee). A quoted guide needs only one of the
+// two, e.g. ("ZHAHN zhahk"); other quoted words are translations, e.g.
+// ("fire") or ("The Knight of the Rose").
+function isGuideText(text) {
+  let inner = text.trim()
+  const quoted = /^["“'‘].*["”'’]$/.test(inner)
+  if (quoted) inner = inner.slice(1, -1).trim()
+  if (!/^[A-Za-z'-]+(\s+[A-Za-z'-]+)*$/.test(inner)) return false
+  if (quoted) return inner.includes('-') || /[A-Z]{2}/.test(inner)
+  return inner.includes('-') && /[A-Z]{2}/.test(inner)
+}
+
+const isMarkerOnly = (word) => stripPowerMarker([word]).length === 0
+
+/**
+ * Find pronunciation guides in question words: a parenthesized or bracketed
+ * respelling right after a name. The name is the word before the guide, plus
+ * up to one more capitalized word per guide word (for names like "Tycho
+ * Brahe"). Power markers are never guides.
+ * @param {string[]} words
+ * @returns {{nameStart: number, start: number, end: number}[]} Word ranges:
+ *   the name is words[nameStart..start-1] (markers aside), the guide
+ *   words[start..end]
+ */
+export function findPronunciationGuides(words) {
+  const guides = []
+  let prevEnd = -1
+  for (let i = 1; i < words.length; i++) {
+    const close = CLOSERS[words[i][0]]
+    if (!close) continue
+    let end = i
+    while (end < words.length && end - i < MAX_GUIDE_WORDS && !words[end].includes(close)) end++
+    if (end >= words.length || !words[end].includes(close)) continue
+    const text = words.slice(i, end + 1).join(' ')
+    if (!isGuideText(text.slice(1, text.lastIndexOf(close)))) continue
+
+    // Walk back over the name, skipping marker-only words
+    const maxNameWords = end - i + 1
+    let nameStart = i
+    let nameWords = 0
+    for (let j = i - 1; j > prevEnd && nameWords < maxNameWords; j--) {
+      if (isMarkerOnly(words[j])) continue
+      const joinsName = nameWords === 0 || (/^\p{Lu}/u.test(words[j]) && !/[.?!;,:]$/.test(words[j]))
+      if (!joinsName) break
+      nameStart = j
+      nameWords++
+    }
+    if (nameWords === 0) continue
+
+    guides.push({ nameStart, start: i, end })
+    prevEnd = end
+    i = end
+  }
+  return guides
+}
+
+/**
+ * Guide word as it should be spoken: brackets and quotes removed.
+ * @param {string} word
+ * @returns {string}
+ */
+export function cleanGuideWord(word) {
+  return word.replace(/[()[\]"“”]/g, '').replace(/^['‘]|['’](?=\W*$)/g, '')
+}
+
+/**
+ * Plan how question words are read aloud: power markers are dropped, and
+ * pronunciation guides handled per mode. Displayed words stay as they are;
+ * the plan maps each one to the spoken word it appears with.
+ * @param {string[]} words - Displayed words
+ * @param {string} [mode="guide"] - One of PRONUNCIATION_MODES
+ * @returns {{spoken: string[], spokenMap: number[], starts: number[]}}
+ *   spoken: words to read; spokenMap: for each displayed word, the spoken
+ *   index it's revealed at; starts: for each displayed word, how many spoken
+ *   words come before it (use to convert marker positions)
+ */
+export function planReading(words, mode = 'guide') {
+  const roles = new Array(words.length).fill(null)
+  const guideOf = new Array(words.length).fill(null)
+  for (const guide of findPronunciationGuides(words)) {
+    for (let j = guide.nameStart; j < guide.start; j++) {
+      if (!isMarkerOnly(words[j])) roles[j] = 'name'
+      guideOf[j] = guide
+    }
+    for (let j = guide.start; j <= guide.end; j++) roles[j] = 'guide'
+  }
+
+  const spoken = []
+  const spokenMap = []
+  const starts = []
+  words.forEach((word, i) => {
+    starts.push(spoken.length)
+    let text = null
+    if (roles[i] === 'guide') {
+      if (mode !== 'skip') text = stripPowerMarker([cleanGuideWord(word)])[0]
+    } else if (roles[i] !== 'name' || mode !== 'guide') {
+      text = stripPowerMarker([word])[0]
+    }
+    if (text) spoken.push(text)
+    spokenMap.push(spoken.length - 1)
+  })
+
+  // Names read as their guide appear when the guide starts being read
+  if (mode === 'guide') {
+    words.forEach((_, i) => {
+      if (roles[i] === 'name') spokenMap[i] = starts[guideOf[i].start]
+    })
+  }
+
+  return { spoken, spokenMap, starts }
+}
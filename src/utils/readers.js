@@ -0,0 +1,152 @@
+/**
+ * Reader engines: what useTTS reads questions with. An engine speaks (or
+ * silently "reads") one piece of text at a time and reports progress through
+ * callbacks, so the hook's pause/resume, chunking and streaming logic works
+ * the same whichever engine is behind it.
+ *
+ * @typedef {Object} ReaderEngine
+ * @property {string} id
+ * @property {boolean} boundaries - Whether speak() reports word boundaries;
+ *   when false the hook estimates word timing per phrase instead
+ * @property {(text: string, opts: ReadOptions) => void} speak
+ * @property {() => void} cancel - Stop reading; no further callbacks fire
+ * @property {() => SpeechSynthesisVoice[]} getVoices
+ * @property {(listener: Function) => (() => void)} onVoicesChanged - Returns an unsubscribe
+ *
+ * @typedef {Object} ReadOptions
+ * @property {number} [rate] - Speech rate (speech engine)
+ * @property {string} [voiceURI] - Preferred voice (speech engine)
+ * @property {number} [wpm] - Words per minute (silent engine)
+ * @property {() => void} [onStart]
+ * @property {(charIndex: number) => void} [onBoundary] - A word starts at charIndex
+ * @property {() => void} [onEnd]
+ * @property {(error: string) => void} [onError]
+ */
+
+export const READERS = [
+  { value: 'speech', label: 'Voice' },
+  { value: 'silent', label: 'Silent (visual only)' },
+]
+
+export const DEFAULT_WPM = 250
+export const MIN_WPM = 100
+export const MAX_WPM = 600
+
+const IS_ANDROID = typeof navigator !== 'undefined' && /android/i.test(navigator.userAgent)
+
+/**
+ * Whether the browser can speak at all.
+ * @returns {boolean}
+ */
+export function speechSupported() {
+  return typeof window !== 'undefined' && 'speechSynthesis' in window
+}
+
+/**
+ * Reader backed by the Web Speech API. Android fires no word boundaries.
+ * @returns {ReaderEngine}
+ */
+export function createSpeechEngine() {
+  const synth = window.speechSynthesis
+
+  const getVoice = (voiceURI) => {
+    const v = synth.getVoices()
+    if (voiceURI) {
+      const match = v.find(voice => voice.voiceURI === voiceURI)
+      if (match) return match
+    }
+    return v.find(voice => voice.lang.startsWith('en')) || v[0] || null
+  }
+
+  return {
+    id: 'speech',
+    boundaries: !IS_ANDROID,
+
+    speak(text, { rate = 1, voiceURI, onStart, onBoundary, onEnd, onError } = {}) {
+      const utt = new SpeechSynthesisUtterance(text)
+      utt.rate = rate
+      const voice = getVoice(voiceURI)
+      if (voice) utt.voice = voice
+      utt.onstart = () => onStart?.()
+      utt.onboundary = (event) => {
+        if (event.name === 'word') onBoundary?.(event.charIndex)
+      }
+      utt.onend = () => onEnd?.()
+      utt.onerror = (event) => {
+        if (event.error === 'canceled' || event.error === 'interrupted') return
+        onError?.(event.error)
+      }
+      synth.speak(utt)
+    },
+
+    cancel() {
+      synth.cancel()
+    },
+
+    getVoices() {
+      return synth.getVoices()
+    },
+
+    onVoicesChanged(listener) {
+      synth.addEventListener('voiceschanged', listener)
+      return () => synth.removeEventListener('voiceschanged', listener)
+    },
+  }
+}
+
+/**
+ * Silent reader that reveals one word every 60000 / wpm milliseconds. Used
+ * for visual-only reading, and where the browser has no speech synthesis.
+ * @returns {ReaderEngine}
+ */
+export function createTimerEngine() {
+  let timers = []
+
+  const cancel = () => {
+    timers.forEach(clearTimeout)
+    timers = []
+  }
+
+  return {
+    id: 'silent',
+    boundaries: true,
+
+    speak(text, { wpm = DEFAULT_WPM, onStart, onBoundary, onEnd } = {}) {
+      cancel()
+      const msPerWord = 60000 / Math.min(MAX_WPM, Math.max(MIN_WPM, wpm))
+      const words = text.split(' ')
+      let charIndex = 0
+      timers.push(setTimeout(() => onStart?.(), 0))
+      words.forEach((word, i) => {
+        const at = charIndex
+        timers.push(setTimeout(() => onBoundary?.(at), i * msPerWord))
+        charIndex += word.length + 1
+      })
+      timers.push(setTimeout(() => {
+        timers = []
+        onEnd?.()
+      }, words.length * msPerWord))
+    },
+
+    cancel,
+
+    getVoices() {
+      return []
+    },
+
+    onVoicesChanged() {
+      return () => {}
+    },
+  }
+}
+
+/**
+ * Engine for a reader setting. Falls back to the silent reader when the
+ * browser can't speak.
+ * @param {string} reader - "speech" or "silent"
+ * @returns {ReaderEngine}
+ */
+export function createReaderEngine(reader) {
+  if (reader === 'silent' || !speechSupported()) return createTimerEngine()
+  return createSpeechEngine()
+}
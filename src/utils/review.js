@@ -0,0 +1,101 @@
+/**
+ * Spaced-repetition review deck, scheduled with SM-2.
+ *
+ * Each card holds a whole tossup or bonus so it can be replayed offline.
+ * Answers are graded on SM-2's 0-5 quality scale; anything below 3 is a
+ * lapse and sends the card back to a one-day interval.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const MIN_EASE = 1.3
+export const PASSING_QUALITY = 3
+
+/**
+ * Card id for a question, unique across tossups and bonuses.
+ * @param {string} type - "tossup" or "bonus"
+ * @param {Object} question
+ */
+export function reviewCardId(type, question) {
+  return `${type}:${question._id}`
+}
+
+/**
+ * New, unscheduled card for a question.
+ * @param {string} type - "tossup" or "bonus"
+ * @param {Object} question - Tossup or bonus from the API
+ * @param {number} [now=Date.now()]
+ */
+export function createReviewCard(type, question, now = Date.now()) {
+  return {
+    id: reviewCardId(type, question),
+    type,
+    question,
+    category: question.category ?? null,
+    ease: 2.5,
+    interval: 0,
+    repetitions: 0,
+    lapses: 0,
+    due: now,
+    lastReviewed: null,
+  }
+}
+
+/**
+ * Apply one SM-2 review to a card.
+ * @param {Object} card
+ * @param {number} quality - 0 (blackout) to 5 (perfect)
+ * @param {number} [now=Date.now()]
+ * @returns {Object} The rescheduled card
+ */
+export function scheduleReview(card, quality, now = Date.now()) {
+  const ease = Math.max(MIN_EASE, card.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  let { interval, repetitions, lapses } = card
+
+  if (quality < PASSING_QUALITY) {
+    repetitions = 0
+    interval = 1
+    lapses++
+  } else {
+    repetitions++
+    interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(interval * ease)
+  }
+
+  return { ...card, ease, interval, repetitions, lapses, due: now + interval * DAY_MS, lastReviewed: now }
+}
+
+/**
+ * SM-2 quality for a finished tossup.
+ * @param {Object} res
+ * @param {string} res.directive - Final "accept"/"reject" directive
+ * @param {boolean} [res.buzzed] - Whether the player buzzed at all
+ * @param {boolean} [res.power] - Whether an accepted buzz was in power
+ * @param {boolean} [res.prompted] - Whether the player needed a prompt
+ */
+export function tossupQuality({ directive, buzzed = true, power = false, prompted = false }) {
+  if (directive === 'accept') {
+    if (prompted) return 3
+    return power ? 5 : 4
+  }
+  return buzzed ? 1 : 0
+}
+
+/**
+ * SM-2 quality for a finished bonus, from the fraction of parts answered.
+ * Missing any part counts as a lapse.
+ * @param {{correct: boolean}[]} partResults
+ */
+export function bonusQuality(partResults) {
+  const correct = partResults.filter(p => p.correct).length
+  if (correct === partResults.length) return 4
+  return correct > 0 ? 2 : 0
+}
+
+/**
+ * Cards due for review, most overdue first.
+ * @param {Object[]} cards
+ * @param {number} [now=Date.now()]
+ */
+export function dueCards(cards, now = Date.now()) {
+  return cards.filter(c => c.due <= now).sort((a, b) => a.due - b.due)
+}
@@ -0,0 +1,83 @@
+/**
+ * Scoring rulesets.
+ *
+ * superpower: points for a correct buzz before (+), or null for no superpowers
+ * power:      points for a correct buzz before (*), or null for no powers
+ * correct:    points for a correct buzz after (*)
+ * neg:        points for an incorrect buzz (0 for no negs)
+ * negAfterEnd: whether incorrect buzzes after the question ends are negged
+ * bonusPart:  points per correct bonus part
+ */
+export const RULESETS = [
+  // The app's original scoring: any incorrect buzz is negged
+  { id: 'standard', name: 'Standard', superpower: null, power: 15, correct: 10, neg: -5, negAfterEnd: true, bonusPart: 10 },
+  // ACF and NAQT IS score the same way (only interrupts are negged), but are
+  // listed under the names leagues know them by
+  { id: 'acf', name: 'ACF', superpower: null, power: 15, correct: 10, neg: -5, negAfterEnd: false, bonusPart: 10 },
+  { id: 'naqt-is', name: 'NAQT IS', superpower: null, power: 15, correct: 10, neg: -5, negAfterEnd: false, bonusPart: 10 },
+  { id: 'no-negs', name: 'No negs', superpower: null, power: 15, correct: 10, neg: 0, negAfterEnd: false, bonusPart: 10 },
+  { id: 'no-powers', name: 'No powers', superpower: null, power: null, correct: 10, neg: -5, negAfterEnd: true, bonusPart: 10 },
+  { id: 'superpowers', name: 'Superpowers', superpower: 20, power: 15, correct: 10, neg: -5, negAfterEnd: true, bonusPart: 10 },
+]
+
+export const DEFAULT_RULESET = RULESETS[0]
+
+const STORAGE_KEY = 'qb_rulesets'
+
+/**
+ * Coerce user-entered ruleset fields into the shape scoring expects.
+ * A blank or non-numeric power or superpower means none.
+ * @param {Object} ruleset
+ * @returns {Object}
+ */
+export function normalizeRuleset(ruleset) {
+  const num = (value, fallback) => {
+    const n = Number(value)
+    return value === '' || value === null || value === undefined || Number.isNaN(n) ? fallback : n
+  }
+  return {
+    ...ruleset,
+    superpower: num(ruleset.superpower, null),
+    power: num(ruleset.power, null),
+    correct: num(ruleset.correct, DEFAULT_RULESET.correct),
+    neg: -Math.abs(num(ruleset.neg, 0)) || 0,
+    negAfterEnd: !!ruleset.negAfterEnd,
+    bonusPart: num(ruleset.bonusPart, DEFAULT_RULESET.bonusPart),
+  }
+}
+
+/**
+ * Make a new user-defined ruleset, copying its values from `base`.
+ * @param {Object} base - Ruleset to start from
+ * @param {string} name
+ * @returns {Object}
+ */
+export function createCustomRuleset(base, name) {
+  return {
+    ...base,
+    id: `custom-${Date.now()}`,
+    name,
+    custom: true,
+  }
+}
+
+/**
+ * Load user-defined rulesets from localStorage.
+ * @returns {Object[]}
+ */
+export function loadCustomRulesets() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return Array.isArray(stored) ? stored : []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Save user-defined rulesets to localStorage.
+ * @param {Object[]} rulesets
+ */
+export function saveCustomRulesets(rulesets) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(rulesets))
+}
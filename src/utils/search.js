@@ -0,0 +1,51 @@
+/**
+ * Search result helpers: term extraction and match highlighting.
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }
+
+/**
+ * Escape text for safe insertion as HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => HTML_ESCAPES[c])
+}
+
+/**
+ * Split a search query into the terms to highlight. Quoted phrases are kept
+ * together; duplicates and empty terms are dropped.
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function searchTerms(query) {
+  const terms = []
+  for (const match of (query || '').matchAll(/"([^"]+)"|(\S+)/g)) {
+    const term = (match[1] ?? match[2]).trim().toLowerCase()
+    if (term && !terms.includes(term)) terms.push(term)
+  }
+  return terms
+}
+
+/**
+ * Wrap every case-insensitive occurrence of the terms in <mark>. Tags and
+ * entities are never searched, so existing markup (e.g. <b><u> in
+ * answerlines) is left intact.
+ * @param {string} html - Already-safe HTML; escape plain text first
+ * @param {string[]} terms
+ * @returns {string}
+ */
+export function highlightHtml(html, terms) {
+  if (!html || terms.length === 0) return html || ''
+  // Longest first, so a term that contains another wins
+  const pattern = [...terms]
+    .sort((a, b) => b.length - a.length)
+    .map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|')
+  const re = new RegExp(`(${pattern})`, 'gi')
+  return html
+    .split(/(<[^>]*>|&#?\w+;)/)
+    .map((part, i) => i % 2 ? part : part.replace(re, '<mark>$1</mark>'))
+    .join('')
+}
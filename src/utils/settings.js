@@ -0,0 +1,229 @@
+import { DEFAULT_RULESET } from './rulesets'
+import { DEFAULT_WPM } from './readers'
+
+// Default practice settings, shared by every practice mode
+export const DEFAULT_SETTINGS = {
+  rate: 1,
+  voiceURI: undefined,
+  reader: 'speech',
+  pronunciation: 'guide',
+  readerWpm: DEFAULT_WPM,
+  categories: [],
+  subcategories: [],
+  alternateSubcategories: [],
+  focusWeak: false,
+  distribution: null,
+  difficulties: [],
+  minYear: null,
+  maxYear: null,
+  adaptive: false,
+  buzzTimer: 5,
+  answerTimer: 3,
+  conferenceTime: 0,
+  ruleset: DEFAULT_RULESET,
+  offlineJudge: false,
+  offlineMode: false,
+}
+
+const SETTINGS_KEY = 'qb_settings'
+const PRESETS_KEY = 'qb_presets'
+
+// Device-specific settings that presets don't carry between machines
+const LOCAL_ONLY = ['voiceURI', 'offlineMode']
+
+/**
+ * Fill in defaults for any settings missing from a stored object, dropping
+ * keys this version doesn't know.
+ * @param {Object} stored
+ * @returns {Object}
+ */
+export function normalizeSettings(stored) {
+  const settings = { ...DEFAULT_SETTINGS }
+  if (!stored || typeof stored !== 'object') return settings
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (stored[key] !== undefined) settings[key] = stored[key]
+  }
+  return settings
+}
+
+/**
+ * Load the saved settings, or the defaults.
+ * @returns {Object}
+ */
+export function loadSettings() {
+  try {
+    return normalizeSettings(JSON.parse(localStorage.getItem(SETTINGS_KEY)))
+  } catch {
+    return { ...DEFAULT_SETTINGS }
+  }
+}
+
+/**
+ * Save settings to localStorage.
+ * @param {Object} settings
+ */
+export function saveSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings))
+}
+
+/**
+ * Named snapshot of the current settings.
+ * @param {string} name
+ * @param {Object} settings
+ * @returns {{id: string, name: string, settings: Object}}
+ */
+export function createPreset(name, settings) {
+  const saved = { ...settings }
+  for (const key of LOCAL_ONLY) delete saved[key]
+  return { id: `preset-${Date.now()}`, name: name.trim() || 'Untitled preset', settings: saved }
+}
+
+/**
+ * Settings with a preset applied. Device-specific settings are kept.
+ * @param {Object} settings - Current settings
+ * @param {Object} preset
+ * @returns {Object}
+ */
+export function applyPreset(settings, preset) {
+  const next = normalizeSettings({ ...preset.settings })
+  for (const key of LOCAL_ONLY) next[key] = settings[key]
+  return next
+}
+
+/**
+ * Load saved presets.
+ * @returns {Object[]}
+ */
+export function loadPresets() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PRESETS_KEY))
+    return Array.isArray(stored) ? stored : []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Save presets to localStorage.
+ * @param {Object[]} presets
+ */
+export function savePresets(presets) {
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(presets))
+}
+
+/**
+ * Serialize presets for export.
+ * @param {Object[]} presets
+ * @returns {string} JSON
+ */
+export function exportPresets(presets) {
+  return JSON.stringify({ type: 'qb-presets', version: 1, presets }, null, 2)
+}
+
+/**
+ * Parse exported presets. Accepts the export format or a bare array, and
+ * gives every imported preset a fresh id so it can't clobber an existing one.
+ * @param {string} json
+ * @returns {Object[]}
+ * @throws {Error} If the JSON is invalid or holds no presets
+ */
+export function parsePresets(json) {
+  let data
+  try {
+    data = JSON.parse(json)
+  } catch {
+    throw new Error('Not a valid JSON file')
+  }
+  const list = Array.isArray(data) ? data : data?.presets
+  if (!Array.isArray(list)) throw new Error('No presets found')
+
+  const presets = list
+    .filter(p => p && typeof p.name === 'string' && p.settings && typeof p.settings === 'object')
+    .map((p, i) => ({ id: `preset-${Date.now()}-${i}`, name: p.name, settings: p.settings }))
+  if (presets.length === 0) throw new Error('No presets found')
+  return presets
+}
+
+// Query parameters for settings that can be shared in a practice link
+const LIST_PARAMS = {
+  categories: 'cat',
+  subcategories: 'subcat',
+  alternateSubcategories: 'alt',
+  difficulties: 'diff',
+}
+const NUMBER_PARAMS = {
+  minYear: 'minYear',
+  maxYear: 'maxYear',
+  rate: 'rate',
+  buzzTimer: 'buzz',
+  answerTimer: 'answer',
+  conferenceTime: 'conf',
+}
+// [min, max] of the number settings, for both the settings sliders and
+// values read from a link
+export const SETTING_RANGES = {
+  rate: [0.5, 2],
+  buzzTimer: [0, 30],
+  answerTimer: [0, 30],
+  conferenceTime: [0, 30],
+}
+
+/**
+ * Whether a query string carries any shareable settings.
+ * @param {URLSearchParams} params
+ */
+export function hasSettingsParams(params) {
+  return [...Object.values(LIST_PARAMS), ...Object.values(NUMBER_PARAMS)].some(key => params.has(key))
+}
+
+/**
+ * Write the shareable settings into query parameters. Settings at their
+ * default are left out; unrelated parameters are kept.
+ * @param {Object} settings
+ * @param {URLSearchParams} [current] - Existing parameters to update
+ * @returns {URLSearchParams}
+ */
+export function settingsToParams(settings, current = new URLSearchParams()) {
+  const params = new URLSearchParams(current)
+  for (const [key, param] of Object.entries(LIST_PARAMS)) {
+    if (settings[key]?.length) params.set(param, settings[key].join(','))
+    else params.delete(param)
+  }
+  for (const [key, param] of Object.entries(NUMBER_PARAMS)) {
+    if (settings[key] != null && settings[key] !== DEFAULT_SETTINGS[key]) params.set(param, String(settings[key]))
+    else params.delete(param)
+  }
+  return params
+}
+
+/**
+ * Read shareable settings from query parameters on top of existing settings.
+ * A link describes the whole drill: when it carries any shareable settings,
+ * the ones it leaves out (or that are malformed) are reset to their default,
+ * as settingsToParams leaves defaults out. Other settings are kept.
+ * @param {URLSearchParams} params
+ * @param {Object} settings - Settings to start from
+ * @returns {Object}
+ */
+export function settingsFromParams(params, settings) {
+  const next = { ...settings }
+  if (!hasSettingsParams(params)) return next
+  for (const key of [...Object.keys(LIST_PARAMS), ...Object.keys(NUMBER_PARAMS)]) {
+    next[key] = DEFAULT_SETTINGS[key]
+  }
+  for (const [key, param] of Object.entries(LIST_PARAMS)) {
+    if (!params.has(param)) continue
+    const values = params.get(param).split(',').map(v => v.trim()).filter(Boolean)
+    next[key] = key === 'difficulties'
+      ? values.map(Number).filter(Number.isInteger)
+      : values
+  }
+  for (const [key, param] of Object.entries(NUMBER_PARAMS)) {
+    if (!params.has(param)) continue
+    const value = parseFloat(params.get(param))
+    if (!Number.isFinite(value)) continue
+    const [min, max] = SETTING_RANGES[key] ?? [-Infinity, Infinity]
+    next[key] = Math.min(max, Math.max(min, value))
+  }
+  return next
+}
@@ -0,0 +1,130 @@
+import { DEFAULT_RULESET } from './rulesets'
+
+/**
+ * Scoring tier a tossup record earned, as saved with it. Records from before
+ * tiers were saved are judged by points: more than a correct answer under the
+ * default ruleset was a power, or a superpower if the buzz came before (+).
+ * @param {Object} r - Tossup history record
+ * @returns {string|null} "superpower", "power" or "correct", or null if not correct
+ */
+export function tossupTier(r) {
+  if (r.directive !== 'accept') return null
+  if (r.tier) return r.tier
+  if (!(r.points > DEFAULT_RULESET.correct)) return 'correct'
+  return r.superpowerIndex >= 0 && r.buzzIndex < r.superpowerIndex ? 'superpower' : 'power'
+}
+
+/**
+ * Whether a tossup record was a power. Superpowers are counted separately.
+ * @param {Object} r - Tossup history record
+ */
+export function isPower(r) {
+  return tossupTier(r) === 'power'
+}
+
+/**
+ * Whether a tossup record was a superpower.
+ * @param {Object} r - Tossup history record
+ */
+export function isSuperpower(r) {
+  return tossupTier(r) === 'superpower'
+}
+
+/**
+ * Whether a tossup record was a neg: a wrong buzz before the question ended,
+ * whatever the ruleset charged for it. Records from before buzz timing was
+ * saved count wrong buzzes that lost points.
+ * @param {Object} r - Tossup history record
+ */
+export function isNeg(r) {
+  if (r.directive !== 'reject' || !(r.buzzIndex >= 0)) return false
+  if (r.afterEnd === undefined) return r.points < 0
+  return !r.afterEnd
+}
+
+/**
+ * Summarize tossup history records.
+ * "Gets" counts every correct buzz, powers and superpowers included; negs are
+ * wrong buzzes before the end of the question (see isNeg).
+ * Average buzz is the mean word index of correct buzzes, or null if there are none.
+ * @param {Object[]} records - Tossup history records
+ */
+export function summarizeTossups(records) {
+  const heard = records.length
+  const superpowers = records.filter(isSuperpower).length
+  const powers = records.filter(isPower).length
+  const correct = records.filter(r => r.directive === 'accept')
+  const gets = correct.length
+  const negs = records.filter(isNeg).length
+  const points = records.reduce((sum, r) => sum + r.points, 0)
+  const avgBuzz = gets > 0
+    ? correct.reduce((sum, r) => sum + r.buzzIndex, 0) / gets
+    : null
+
+  return {
+    heard,
+    superpowers,
+    powers,
+    gets,
+    negs,
+    points,
+    superpowersPerTossup: heard ? superpowers / heard : 0,
+    powersPerTossup: heard ? powers / heard : 0,
+    getsPerTossup: heard ? gets / heard : 0,
+    negsPerTossup: heard ? negs / heard : 0,
+    avgBuzz,
+  }
+}
+
+/**
+ * Whether a bonus record got every part.
+ * @param {Object} r - Bonus history record
+ */
+export function isThirty(r) {
+  return r.parts.length > 0 && r.parts.every(p => p.points > 0)
+}
+
+/**
+ * Summarize bonus history records.
+ * @param {Object[]} records - Bonus history records
+ */
+export function summarizeBonuses(records) {
+  const heard = records.length
+  const points = records.reduce((sum, r) => sum + r.points, 0)
+  const thirties = records.filter(isThirty).length
+  return {
+    heard,
+    points,
+    thirties,
+    ppb: heard ? points / heard : 0,
+    thirtyRate: heard ? thirties / heard : 0,
+  }
+}
+
+/**
+ * Group history records and summarize each group.
+ * Records with no value for `key` are grouped under "Unknown".
+ * @param {Object[]} records - Tossup and bonus history records
+ * @param {string} key - Record field to group by, e.g. "category" or "subcategory"
+ * @returns {{name: string, category: string|null, tossups: Object, bonuses: Object}[]}
+ *   One row per group, sorted by name
+ */
+export function groupStats(records, key) {
+  const groups = new Map()
+  for (const r of records) {
+    const name = r[key] || 'Unknown'
+    if (!groups.has(name)) groups.set(name, { category: r.category || null, tossups: [], bonuses: [] })
+    const group = groups.get(name)
+    if (r.type === 'tossup') group.tossups.push(r)
+    else if (r.type === 'bonus') group.bonuses.push(r)
+  }
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, group]) => ({
+      name,
+      category: group.category,
+      tossups: summarizeTossups(group.tossups),
+      bonuses: summarizeBonuses(group.bonuses),
+    }))
+}
@@ -1,3 +1,5 @@
+import { DEFAULT_RULESET } from './rulesets'
+
 /**
  * Find the index of the word containing the (*) power marker.
  * @param {string[]} rawWords - Words from the raw (unsanitized) question
@@ -8,30 +10,101 @@ export function findPowerIndex(rawWords) {
 }
 
 /**
- * Remove the (*) power marker from words, filtering out any that become empty.
- * @param {string[]} rawWords - Words that may contain (*)
- * @returns {string[]} Words with (*) stripped
+ * Find the index of the word containing the (+) superpower marker.
+ * @param {string[]} rawWords - Words from the raw (unsanitized) question
+ * @returns {number} Index of the superpower marker word, or -1 if not found
+ */
+export function findSuperpowerIndex(rawWords) {
+  return rawWords.findIndex(w => w.includes('(+)'))
+}
+
+/**
+ * Remove the (*) power and (+) superpower markers from words, filtering out
+ * any that become empty.
+ * @param {string[]} rawWords - Words that may contain (*) or (+)
+ * @returns {string[]} Words with markers stripped
  */
 export function stripPowerMarker(rawWords) {
-  return rawWords.map(w => w.replace('(*)', '').trim()).filter(Boolean)
+  return rawWords.map(w => w.replace('(*)', '').replace('(+)', '').trim()).filter(Boolean)
+}
+
+/**
+ * Map each raw word to the index of the spoken (marker-stripped) word it
+ * belongs to. Marker-only words map to the spoken word just before them
+ * (-1 at the very start), so they appear as soon as that word is read.
+ * @param {string[]} rawWords
+ * @returns {number[]} One spoken index per raw word
+ */
+export function spokenIndexMap(rawWords) {
+  let spoken = -1
+  return rawWords.map(w => {
+    if (stripPowerMarker([w]).length > 0) spoken++
+    return spoken
+  })
+}
+
+/**
+ * Split question text at its (+) and (*) markers for display. Each segment is
+ * tagged with the tier a buzz inside it would earn; markers become their own
+ * segments with tier "marker".
+ * @param {string} text - Raw question text
+ * @returns {{text: string, tier: string|null}[]} tier is "superpower",
+ *   "power", "marker", or null after the last marker
+ */
+export function splitAtPowerMarks(text) {
+  const parts = text.split(/(\(\+\)|\(\*\))/)
+  const hasSuperpower = parts.includes('(+)')
+  const hasPower = parts.includes('(*)')
+  let tier = hasSuperpower ? 'superpower' : hasPower ? 'power' : null
+  const segments = []
+  for (const part of parts) {
+    if (part === '(+)' || part === '(*)') {
+      segments.push({ text: part, tier: 'marker' })
+      tier = part === '(+)' && hasPower ? 'power' : null
+    } else if (part) {
+      segments.push({ text: part, tier })
+    }
+  }
+  return segments
+}
+
+/**
+ * Scoring tier for a correct buzz.
+ * @param {number} powerIndex - Spoken index of (*), or -1
+ * @param {number} buzzIndex - Index where the player buzzed
+ * @param {Object} [opts]
+ * @param {number} [opts.superpowerIndex=-1] - Spoken index of (+), or -1
+ * @param {Object} [opts.ruleset] - Scoring ruleset (see utils/rulesets), the default one if omitted
+ * @returns {string} "superpower", "power" or "correct"
+ */
+export function getBuzzTier(powerIndex, buzzIndex, { superpowerIndex = -1, ruleset = DEFAULT_RULESET } = {}) {
+  if (ruleset.superpower != null && superpowerIndex >= 0 && buzzIndex < superpowerIndex) {
+    return 'superpower'
+  }
+  if (ruleset.power != null && powerIndex >= 0 && buzzIndex < powerIndex) {
+    return 'power'
+  }
+  return 'correct'
 }
 
 /**
  * Calculate tossup points based on answer directive and buzz position.
  * @param {string} directive - "accept", "reject", or "prompt"
- * @param {number} powerIndex - Index of (*) in raw words, or -1
+ * @param {number} powerIndex - Spoken index of (*), or -1
  * @param {number} buzzIndex - Index where the player buzzed
- * @returns {number} 15, 10, -5, or 0
+ * @param {Object} [opts]
+ * @param {number} [opts.superpowerIndex=-1] - Spoken index of (+), or -1
+ * @param {Object} [opts.ruleset] - Scoring ruleset (see utils/rulesets), the default one if omitted
+ * @param {boolean} [opts.afterEnd=false] - Whether the buzz came after the question ended
+ * @returns {number} Superpower, power, correct or neg value from the ruleset, or 0
  */
-export function calcTossupPoints(directive, powerIndex, buzzIndex) {
+export function calcTossupPoints(directive, powerIndex, buzzIndex, { superpowerIndex = -1, ruleset = DEFAULT_RULESET, afterEnd = false } = {}) {
   if (directive === 'accept') {
-    if (powerIndex >= 0 && buzzIndex < powerIndex) {
-      return 15
-    }
-    return 10
+    return ruleset[getBuzzTier(powerIndex, buzzIndex, { superpowerIndex, ruleset })]
   }
   if (directive === 'reject') {
-    return -5
+    if (afterEnd && !ruleset.negAfterEnd) return 0
+    return ruleset.neg
   }
   return 0
 }
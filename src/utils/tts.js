@@ -23,3 +23,96 @@ export function buildChunks(words) {
   }
   return chunks
 }
+
+// Android only reports when a whole chunk starts and ends, so the word being
+// spoken inside a chunk is estimated from each word's relative length.
+
+// Fixed cost per word, plus one unit per letter and two per digit
+// (numbers are read out as words)
+const WORD_BASE_UNITS = 2
+// Extra units for the pause the voice makes after trailing punctuation
+const PAUSE_UNITS = { ',': 3, ';': 4, ':': 4, '.': 6, '?': 6, '!': 6 }
+// Milliseconds per unit at rate 1 — about 170 words per minute for average words
+export const MS_PER_UNIT = 50
+
+// Calibration scale bounds, and how far each measured chunk moves it
+const MIN_SCALE = 0.4
+const MAX_SCALE = 2.5
+const SCALE_SMOOTHING = 0.5
+
+/**
+ * Relative speaking time of one word.
+ * @param {string} word
+ * @returns {number}
+ */
+export function wordUnits(word) {
+  const letters = (word.match(/\p{L}/gu) || []).length
+  const digits = (word.match(/\p{N}/gu) || []).length
+  return WORD_BASE_UNITS + letters + digits * 2 + (PAUSE_UNITS[word.slice(-1)] || 0)
+}
+
+/**
+ * Estimate when each word of a chunk starts being spoken.
+ * @param {string[]} words - The chunk's words
+ * @param {Object} [opts]
+ * @param {number} [opts.rate=1] - Utterance rate
+ * @param {number} [opts.scale=1] - Calibration factor from calibrateScale
+ * @returns {{offsets: number[], duration: number}} Milliseconds from the chunk's start
+ */
+export function estimateWordTimings(words, { rate = 1, scale = 1 } = {}) {
+  const msPerUnit = MS_PER_UNIT * scale / rate
+  const offsets = []
+  let elapsed = 0
+  for (const word of words) {
+    offsets.push(elapsed)
+    elapsed += wordUnits(word) * msPerUnit
+  }
+  return { offsets, duration: elapsed }
+}
+
+/**
+ * Index of the word being spoken a given time into a chunk.
+ * @param {number[]} offsets - From estimateWordTimings
+ * @param {number} elapsed - Milliseconds since the chunk started
+ * @returns {number}
+ */
+export function wordAtElapsed(offsets, elapsed) {
+  let i = 0
+  while (i + 1 < offsets.length && offsets[i + 1] <= elapsed) i++
+  return i
+}
+
+/**
+ * Move the calibration scale toward what a measured chunk implies, so later
+ * estimates match the voice's actual pace.
+ * @param {number} scale - Scale the estimate was made with
+ * @param {number} estimated - Estimated chunk duration in ms
+ * @param {number} measured - Measured chunk duration in ms
+ * @returns {number}
+ */
+export function calibrateScale(scale, estimated, measured) {
+  if (!(estimated > 0) || !(measured > 0)) return scale
+  const observed = scale * measured / estimated
+  const next = scale + (observed - scale) * SCALE_SMOOTHING
+  return Math.min(MAX_SCALE, Math.max(MIN_SCALE, next))
+}
+
+// Streamed words (multiplayer) are spoken a phrase at a time. Without
+// punctuation, a phrase is cut after this many words so speech keeps up.
+export const STREAM_PHRASE_MAX = 8
+
+/**
+ * How many buffered stream words form complete phrases that can be spoken
+ * now: everything through the last punctuation, or the whole buffer once it
+ * reaches maxWords. 0 means keep buffering.
+ * @param {string[]} words - Words received but not yet spoken
+ * @param {number} [maxWords=STREAM_PHRASE_MAX]
+ * @returns {number}
+ */
+export function streamPhraseLength(words, maxWords = STREAM_PHRASE_MAX) {
+  if (words.length >= maxWords) return words.length
+  for (let i = words.length - 1; i >= 0; i--) {
+    if (/[.?!;,:]$/.test(words[i])) return i + 1
+  }
+  return 0
+}
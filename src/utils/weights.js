@@ -0,0 +1,56 @@
+/**
+ * "Focus on weaknesses": weight categories by how badly a player does in
+ * them, using their practice history.
+ *
+ * A category's success rate is smoothed toward 50% (one imagined success and
+ * one miss), so unplayed categories get a middling weight rather than none
+ * or all of it. Its weight is proportional to 1 - rate, with a floor so
+ * strong categories still come up now and then.
+ */
+
+// Smallest raw weight, so no category drops out entirely
+export const MIN_WEAKNESS = 0.1
+
+// Successes and attempts in a set of history records of one type
+function tally(records, type) {
+  if (type === 'bonus') {
+    const parts = records.flatMap(r => r.parts || [])
+    return { successes: parts.filter(p => p.points > 0).length, attempts: parts.length }
+  }
+  return { successes: records.filter(r => r.directive === 'accept').length, attempts: records.length }
+}
+
+/**
+ * Selection weights for each category.
+ * @param {Object[]} records - Practice history records (see utils/history)
+ * @param {string} type - "tossup" or "bonus"; bonuses are judged per part
+ * @param {string[]} categories - Categories to choose between
+ * @returns {{category: string, heard: number, rate: number, weight: number}[]}
+ *   weights sum to 1
+ */
+export function categoryWeights(records, type, categories) {
+  const rows = categories.map(category => {
+    const own = records.filter(r => r.type === type && r.category === category)
+    const { successes, attempts } = tally(own, type)
+    const rate = (successes + 1) / (attempts + 2)
+    return { category, heard: own.length, rate, weakness: Math.max(MIN_WEAKNESS, 1 - rate) }
+  })
+  const total = rows.reduce((sum, r) => sum + r.weakness, 0)
+  return rows.map(({ weakness, ...row }) => ({ ...row, weight: total ? weakness / total : 0 }))
+}
+
+/**
+ * Pick a category at random in proportion to its weight.
+ * @param {{category: string, weight: number}[]} weights
+ * @param {() => number} [random=Math.random]
+ * @returns {string|null} null if there are no categories
+ */
+export function pickWeightedCategory(weights, random = Math.random) {
+  if (weights.length === 0) return null
+  let r = random()
+  for (const w of weights) {
+    r -= w.weight
+    if (r < 0) return w.category
+  }
+  return weights[weights.length - 1].category
+}